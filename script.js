@@ -1,7 +1,17 @@
 // Configuration
-const API_URL = 'http://localhost:5000';
+// The player is served by the backend; the API base comes from its
+// GET /api/config (see loadConfig).
+const CONFIG_STORAGE_KEY = 'tapeConfig';
+const SESSION_STORAGE_KEY = 'tapeSessionId';
+let API_URL = '';
+let clientConfig = { audioExtensions: [], maxUploadSizeMB: 0 };
+
+// Listener session ID issued by the server (sent with every API call)
+let sessionId = localStorage.getItem(SESSION_STORAGE_KEY);
 
 // State
+let tapes = [];
+let currentTapeId = 'default';
 let playlists = { sideA: [], sideB: [] };
 let currentSide = 'A';
 let currentTrackIndex = 0;
@@ -9,9 +19,42 @@ let isPlaying = false;
 let tapeMode = true;
 let audioPlayer = document.getElementById('audioPlayer');
 let trackListVisible = false;
+let tapeShelfVisible = false;
 let isMuted = false;
 let lastVolume = 75;
-let savedTimestamp = 0; // For continuing playback when switching sides
+let savedTimestamp = 0; // Position to resume from the saved session
+let savedTrackId = null; // Track to resume from the saved session
+let cueReview = false; // Play sped-up audio while winding
+
+// Playback order: repeat modes and a shuffle that stays within one side,
+// like an auto-reverse deck that can only search the side it is playing
+const REPEAT_MODES = ['off', 'side', 'tape', 'one'];
+const REPEAT_LABELS = { off: 'REP', side: 'REP SIDE', tape: 'REP TAPE', one: 'REP 1' };
+const RESTART_THRESHOLD = 3; // "Previous" past this many seconds restarts the track
+const MAX_HISTORY = 100;
+let repeatMode = 'off';
+let shuffle = false;
+let shuffleQueue = []; // IDs on this side still to come, in shuffled order
+let playHistory = []; // IDs played on this side before the current track
+
+// Gapless playback: the next track waits, preloaded, on the standby player
+const players = [audioPlayer, document.getElementById('audioPlayerNext')];
+const GAPLESS_LEAD = 0.05; // s before the end that the next track starts
+const MAX_CROSSFADE = 12;
+let crossfadeSeconds = 0; // Equal-power crossfade, only with tape mode off
+let playerGains = new Map(); // Web Audio gain node of each player
+let preloadedTrackId = null;
+let outgoingPlayer = null; // Player still finishing its track after a hand-over
+let transitionTimer = null;
+
+// Tape transport: each side is one continuous timeline of tracks
+const WIND_SPEED = 20; // Rewind / fast-forward run at 20x
+const WIND_INTERVAL = 100; // ms between head moves while winding
+const CUE_PLAYBACK_RATE = 4;
+const HOLD_DELAY = 300; // Holding a skip button this long starts winding
+let windDirection = 0;
+let windTimer = null;
+let holdTimer = null;
 
 // Audio Context for frequency visualization
 let audioContext;
@@ -20,15 +63,178 @@ let dataArray;
 let bufferLength;
 let animationId;
 
+// Tape character effects (each intensity runs 0-1, 0 switches the effect off)
+const DEFAULT_TAPE_EFFECTS = {
+    wowFlutter: 0.3,
+    hiss: 0.2,
+    rolloff: 0.4,
+    saturation: 0.3,
+    motor: 0.5
+};
+const MOTOR_RAMP_TIME = 400; // ms for the motor to spin up or slow down
+let tapeEffects = { ...DEFAULT_TAPE_EFFECTS };
+let tapeFx = null; // Web Audio nodes of the tape chain
+let motorTimer = null;
+let tapeFxVisible = false;
+
+// Graphic equalizer
+const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_MAX_GAIN = 12;
+const EQ_PRESETS = {
+    'Flat': [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    'Bass Boost': [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+    'Vocal': [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+    'Walkman Mega Bass': [9, 8, 6, 3, 0, -1, 0, 1, 2, 2],
+    'Treble Boost': [0, 0, 0, 0, 0, 1, 2, 4, 5, 6],
+    'Loudness': [5, 4, 2, 0, -1, 0, 0, 1, 3, 4]
+};
+const CUSTOM_PRESET_PREFIX = 'custom:';
+let eqGains = [...EQ_PRESETS['Flat']];
+let eqPreset = 'Flat';
+let customEqPresets = {};
+let eqFilters = [];
+let eqVisible = false;
+let saveEqTimer = null;
+
+// Lyrics of the loaded track: { trackId, key, synced, lines: [{ time, text }] }
+let lyrics = null;
+let activeLyricIndex = -1;
+let lyricsVisible = false;
+
+// Colours that follow the cover of the loaded track (see styles.css :root)
+const COVER_THEME_PROPERTIES = ['--accent', '--accent-deep', '--shell-light', '--shell'];
+
+// Tag editor
+let tagEditorVisible = false;
+let editingTrackId = null;
+
+// Sleep timer: after some minutes, at the end of the track or of the side
+// the volume fades out and playback stops
+const SLEEP_FADE_TIME = 10; // seconds
+let sleepTimer = null; // { mode: 'minutes' | 'track' | 'side', minutes, endsAt }
+let sleepTicker = null;
+let sleepFading = false;
+let masterGain = null; // Fades the whole output for the sleep timer
+
+// Listening history: the play in progress, reported when it starts and ends
+let currentPlay = null; // { trackId, listened, lastTime }
+let statsVisible = false;
+
+// Offline: tapes saved in the browser (one cache each, served by sw.js) and
+// the session copy in IndexedDB that syncs back once the server answers
+const OFFLINE_CACHE_PREFIX = 'tape-offline-';
+const OFFLINE_TAPES_KEY = 'offlineTapes';
+const OFFLINE_DB_NAME = 'tapePlayer';
+const OFFLINE_DB_STORE = 'session';
+let offlineTapes = JSON.parse(localStorage.getItem(OFFLINE_TAPES_KEY) || '[]');
+let savingOfflineTapeId = null;
+let offlineDb = null;
+
+// Listening party: followers mirror the host's playback over a WebSocket
+const PARTY_NAME_KEY = 'partyName';
+const PARTY_MAX_DRIFT = 0.5; // seconds a follower may be off before it seeks
+const PARTY_CORRECTION_INTERVAL = 2000; // ms between seeks, so a seek can settle
+const PARTY_UPDATE_DELAY = 150; // ms; a burst of changes goes out as one update
+let partySocket = null;
+let party = null; // { code, members, requests }
+let partyMemberId = null; // This connection's member ID in the party
+let partyState = null; // The host's playback, and when it arrived
+let partyApplying = false; // Following the host, not the listener's own click
+let partyApplyChain = Promise.resolve();
+let partyUpdateTimer = null;
+let lastDriftCorrection = 0;
+let partyVisible = false;
+
+// Admin login (changing the library needs it, listening does not)
+let isAdmin = false;
+let adminVisible = false;
+
+// Keyboard shortcuts: action -> key. The listener's own changes are kept in
+// the session and laid over these defaults.
+const DEFAULT_KEY_BINDINGS = {
+    togglePlay: 'Space',
+    skipForward: 'ArrowRight',
+    skipBackward: 'ArrowLeft',
+    nextTrack: 'Shift+ArrowRight',
+    previousTrack: 'Shift+ArrowLeft',
+    volumeUp: 'ArrowUp',
+    volumeDown: 'ArrowDown',
+    toggleMute: 'M',
+    flipTape: 'F',
+    toggleTapeMode: 'T',
+    toggleShortcutHelp: '?'
+};
+const KEY_ACTIONS = {
+    togglePlay: { label: 'Play / pause', run: () => togglePlay() },
+    skipForward: { label: 'Skip forward 10s', run: () => skipForward() },
+    skipBackward: { label: 'Skip back 10s', run: () => skipBackward() },
+    nextTrack: { label: 'Next track', run: () => nextTrack() },
+    previousTrack: { label: 'Previous track', run: () => previousTrack() },
+    volumeUp: { label: 'Volume up', run: () => stepVolume(5) },
+    volumeDown: { label: 'Volume down', run: () => stepVolume(-5) },
+    toggleMute: { label: 'Mute', run: () => toggleMute() },
+    flipTape: { label: 'Flip tape / other side', run: () => switchSide(currentSide === 'A' ? 'B' : 'A') },
+    toggleTapeMode: { label: 'Tape mode on / off', run: () => toggleTapeMode() },
+    toggleShortcutHelp: { label: 'Show shortcuts', run: () => toggleShortcutHelp() }
+};
+let keyBindings = { ...DEFAULT_KEY_BINDINGS };
+let rebindingAction = null; // Action waiting for its new key
+
+// Track list search (results come from the server, across both sides)
+const SEARCH_DELAY = 200; // ms of typing pause before searching
+let searchQuery = '';
+let searchResults = [];
+let searchTimer = null;
+
 // Initialize
-window.addEventListener('load', () => {
+window.addEventListener('load', async () => {
+    await loadConfig(); // Everything below talks to the API
+    loadAuth();
+    registerServiceWorker();
+    await syncOfflineSession(); // Changes made offline last time go first
+    await loadSession(); // Session decides which tape gets loaded
+    loadTapes();
     loadPlaylists();
-    loadSession();
+    connectLibraryEvents();
     setupAudioListeners();
+    setupTrackDropZone();
+    setupTrackReorder();
+    setupMediaSession();
+    setupKeyboardShortcuts();
+    updateEqUI();
     initAudioContext();
     createFrequencyBars();
 });
 
+window.addEventListener('online', syncOfflineSession);
+
+// Ask the server that served the page where its API lives. The last answer
+// is kept so the player still starts offline.
+async function loadConfig() {
+    if (!location.protocol.startsWith('http')) {
+        setStatus('Open the player from its server (e.g. http://localhost:5000), not from disk');
+    }
+    const configUrl = new URL('api/config', location.href).href;
+    
+    let config;
+    try {
+        const response = await fetch(configUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        config = await response.json();
+        localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config));
+    } catch (error) {
+        console.warn('Could not load config, using the saved one:', error);
+        config = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY) || '{}');
+    }
+    
+    // An empty apiBase means the API sits next to the config endpoint
+    API_URL = new URL(config.apiBase || '..', configUrl).href.replace(/\/+$/, '');
+    clientConfig = {
+        audioExtensions: config.audioExtensions || [],
+        maxUploadSizeMB: config.maxUploadSizeMB || 0
+    };
+}
+
 // Initialize Web Audio API
 function initAudioContext() {
     try {
@@ -36,17 +242,354 @@ function initAudioContext() {
         analyser = audioContext.createAnalyser();
         analyser.fftSize = 128;
         
-        const source = audioContext.createMediaElementSource(audioPlayer);
-        source.connect(analyser);
+        tapeFx = createTapeChain();
+        eqFilters = createEqualizer();
+        
+        // Both players feed the same chain, so effects, EQ and the
+        // visualizer carry on across track changes
+        players.forEach(player => {
+            const source = audioContext.createMediaElementSource(player);
+            const gain = audioContext.createGain();
+            source.connect(gain);
+            gain.connect(tapeFx.input);
+            playerGains.set(player, gain);
+        });
+        masterGain = audioContext.createGain();
+        tapeFx.output.connect(eqFilters[0]);
+        eqFilters[eqFilters.length - 1].connect(masterGain);
+        masterGain.connect(analyser);
         analyser.connect(audioContext.destination);
         
         bufferLength = analyser.frequencyBinCount;
         dataArray = new Uint8Array(bufferLength);
+        
+        applyTapeEffects();
+        applyEq();
     } catch (error) {
         console.error('Web Audio API not supported:', error);
     }
 }
 
+// Build the tape emulation chain. The signal runs through a dry path and a
+// "tape" path (wow/flutter delay -> roll-off -> saturation); tape mode
+// crossfades between them. Hiss is mixed in on top while the tape runs.
+function createTapeChain() {
+    const input = audioContext.createGain();
+    const output = audioContext.createGain();
+    const dry = audioContext.createGain();
+    const wet = audioContext.createGain();
+    
+    // Wow (slow) and flutter (fast) wobble the delay time, bending the pitch
+    const wowDelay = audioContext.createDelay(0.1);
+    wowDelay.delayTime.value = 0.01;
+    const wow = createLfo(0.5);
+    const flutter = createLfo(7);
+    wow.depth.connect(wowDelay.delayTime);
+    flutter.depth.connect(wowDelay.delayTime);
+    
+    const rolloff = audioContext.createBiquadFilter();
+    rolloff.type = 'lowpass';
+    rolloff.Q.value = 0.7;
+    
+    const saturator = audioContext.createWaveShaper();
+    saturator.oversample = '2x';
+    
+    // Looping noise buffer, high-passed so it sounds like tape hiss
+    const noise = audioContext.createBufferSource();
+    noise.buffer = createNoiseBuffer(2);
+    noise.loop = true;
+    const hissFilter = audioContext.createBiquadFilter();
+    hissFilter.type = 'highpass';
+    hissFilter.frequency.value = 2000;
+    const hiss = audioContext.createGain();
+    hiss.gain.value = 0;
+    noise.connect(hissFilter);
+    hissFilter.connect(hiss);
+    hiss.connect(output);
+    noise.start();
+    
+    input.connect(dry);
+    dry.connect(output);
+    input.connect(wowDelay);
+    wowDelay.connect(rolloff);
+    rolloff.connect(saturator);
+    saturator.connect(wet);
+    wet.connect(output);
+    
+    return { input, output, dry, wet, wow, flutter, rolloff, saturator, hiss };
+}
+
+// Sine LFO; its depth gain sets how far it swings
+function createLfo(frequency) {
+    const oscillator = audioContext.createOscillator();
+    oscillator.frequency.value = frequency;
+    const depth = audioContext.createGain();
+    depth.gain.value = 0;
+    oscillator.connect(depth);
+    oscillator.start();
+    return { oscillator, depth };
+}
+
+function createNoiseBuffer(seconds) {
+    const buffer = audioContext.createBuffer(1, audioContext.sampleRate * seconds, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
+// Soft-clipping curve; stronger drive squashes peaks harder
+function createSaturationCurve(amount) {
+    const drive = 1 + amount * 10;
+    const curve = new Float32Array(1024);
+    for (let i = 0; i < curve.length; i++) {
+        const x = (i / (curve.length - 1)) * 2 - 1;
+        curve[i] = Math.tanh(drive * x) / Math.tanh(drive);
+    }
+    return curve;
+}
+
+// Set the chain's parameters from tape mode and the effect intensities
+function applyTapeEffects() {
+    if (!tapeFx) return;
+    
+    const now = audioContext.currentTime;
+    const on = tapeMode;
+    const fx = tapeEffects;
+    
+    tapeFx.dry.gain.setTargetAtTime(on ? 0 : 1, now, 0.05);
+    tapeFx.wet.gain.setTargetAtTime(on ? 1 : 0, now, 0.05);
+    
+    tapeFx.wow.depth.gain.setTargetAtTime(fx.wowFlutter * 0.002, now, 0.05);
+    tapeFx.flutter.depth.gain.setTargetAtTime(fx.wowFlutter * 0.0003, now, 0.05);
+    tapeFx.rolloff.frequency.setTargetAtTime(20000 - fx.rolloff * 14000, now, 0.05);
+    tapeFx.saturator.curve = fx.saturation > 0 ? createSaturationCurve(fx.saturation) : null;
+    
+    // Hiss only while the tape is moving
+    const hissLevel = on && isPlaying ? fx.hiss * 0.03 : 0;
+    tapeFx.hiss.gain.setTargetAtTime(hissLevel, now, 0.1);
+}
+
+// Ramp the playback rate like a tape motor, then call done
+function rampMotor(from, to, done) {
+    clearInterval(motorTimer);
+    
+    setPreservesPitch(false); // Let the pitch bend with the speed
+    const started = Date.now();
+    audioPlayer.playbackRate = from;
+    
+    motorTimer = setInterval(() => {
+        const progress = Math.min((Date.now() - started) / MOTOR_RAMP_TIME, 1);
+        audioPlayer.playbackRate = from + (to - from) * progress;
+        
+        if (progress === 1) {
+            clearInterval(motorTimer);
+            motorTimer = null;
+            audioPlayer.playbackRate = 1;
+            setPreservesPitch(true);
+            if (done) done();
+        }
+    }, 20);
+}
+
+function cancelMotorRamp() {
+    if (!motorTimer) return;
+    clearInterval(motorTimer);
+    motorTimer = null;
+    audioPlayer.playbackRate = 1;
+    setPreservesPitch(true);
+}
+
+function setPreservesPitch(value) {
+    audioPlayer.preservesPitch = value;
+    audioPlayer.mozPreservesPitch = value;
+    audioPlayer.webkitPreservesPitch = value;
+}
+
+// Should play/pause spin the motor up and down?
+function usesMotorEffect() {
+    return tapeMode && tapeEffects.motor > 0 && !windDirection;
+}
+
+// Toggle tape effects panel
+function toggleTapeFxPanel() {
+    tapeFxVisible = !tapeFxVisible;
+    document.getElementById('tapeFxPanel').style.display = tapeFxVisible ? 'block' : 'none';
+}
+
+// Slider moved in the tape effects panel
+function changeTapeEffect(name, value) {
+    tapeEffects[name] = value / 100;
+    applyTapeEffects();
+    saveSession();
+}
+
+function updateTapeFxUI() {
+    Object.keys(tapeEffects).forEach(name => {
+        const slider = document.getElementById(`fx-${name}`);
+        if (slider) slider.value = Math.round(tapeEffects[name] * 100);
+    });
+}
+
+// Chain of filters, one per EQ band: shelves at the ends, peaks in between
+function createEqualizer() {
+    const filters = EQ_BANDS.map((frequency, index) => {
+        const filter = audioContext.createBiquadFilter();
+        if (index === 0) {
+            filter.type = 'lowshelf';
+        } else if (index === EQ_BANDS.length - 1) {
+            filter.type = 'highshelf';
+        } else {
+            filter.type = 'peaking';
+            filter.Q.value = 1.4;
+        }
+        filter.frequency.value = frequency;
+        return filter;
+    });
+    
+    for (let i = 0; i < filters.length - 1; i++) {
+        filters[i].connect(filters[i + 1]);
+    }
+    return filters;
+}
+
+function applyEq() {
+    eqFilters.forEach((filter, index) => {
+        filter.gain.setTargetAtTime(eqGains[index], audioContext.currentTime, 0.02);
+    });
+}
+
+// Gains for a built-in or custom preset
+function getEqPresetGains(name) {
+    if (name.startsWith(CUSTOM_PRESET_PREFIX)) {
+        return customEqPresets[name.slice(CUSTOM_PRESET_PREFIX.length)];
+    }
+    return EQ_PRESETS[name];
+}
+
+// Toggle EQ panel
+function toggleEqPanel() {
+    eqVisible = !eqVisible;
+    document.getElementById('eqPanel').style.display = eqVisible ? 'block' : 'none';
+}
+
+// Pick a preset from the list
+function selectEqPreset(name) {
+    const gains = getEqPresetGains(name);
+    if (!gains) return;
+    
+    eqPreset = name;
+    eqGains = [...gains];
+    applyEq();
+    updateEqUI();
+    saveEq();
+}
+
+// Move one band slider (turns the curve into a manual one)
+function changeEqBand(index, value) {
+    eqGains[index] = Number(value);
+    eqPreset = 'Custom';
+    applyEq();
+    updateEqPresetUI();
+    
+    // Sliders fire continuously: save once they settle
+    clearTimeout(saveEqTimer);
+    saveEqTimer = setTimeout(saveEq, 400);
+}
+
+async function saveEq() {
+    try {
+        await apiFetch('/api/session/eq', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ preset: eqPreset, gains: eqGains })
+        });
+    } catch (error) {
+        console.error('Error saving EQ:', error);
+    }
+}
+
+// Save the current curve as a named preset
+async function saveEqPreset() {
+    const name = prompt('Name for this EQ preset:');
+    if (!name || !name.trim()) return;
+    
+    try {
+        const response = await apiFetch('/api/session/eq/presets', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim(), gains: eqGains })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(getErrorMessage(data, 'Error saving preset'));
+            return;
+        }
+        
+        customEqPresets = data.eqPresets;
+        eqPreset = CUSTOM_PRESET_PREFIX + name.trim();
+        updateEqUI();
+        saveEq();
+        setStatus(`Saved EQ preset: ${name.trim()}`);
+    } catch (error) {
+        console.error('Error saving EQ preset:', error);
+        setStatus('Error saving preset');
+    }
+}
+
+// Delete the selected custom preset
+async function deleteEqPreset() {
+    if (!eqPreset.startsWith(CUSTOM_PRESET_PREFIX)) return;
+    const name = eqPreset.slice(CUSTOM_PRESET_PREFIX.length);
+    
+    try {
+        const response = await apiFetch(`/api/session/eq/presets/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (response.ok) {
+            customEqPresets = data.eqPresets;
+            eqPreset = 'Custom';
+            updateEqUI();
+            saveEq();
+            setStatus(`Deleted EQ preset: ${name}`);
+        }
+    } catch (error) {
+        console.error('Error deleting EQ preset:', error);
+    }
+}
+
+// Build the preset list and band sliders
+function updateEqUI() {
+    updateEqPresetUI();
+    
+    document.getElementById('eqBands').innerHTML = EQ_BANDS.map((frequency, index) => `
+        <label class="eq-band">
+            <input type="range" min="${-EQ_MAX_GAIN}" max="${EQ_MAX_GAIN}" step="1" value="${eqGains[index]}"
+                oninput="changeEqBand(${index}, this.value)">
+            <span>${frequency >= 1000 ? frequency / 1000 + 'k' : frequency}</span>
+        </label>
+    `).join('');
+}
+
+function updateEqPresetUI() {
+    const select = document.getElementById('eqPresetSelect');
+    const builtIn = Object.keys(EQ_PRESETS)
+        .map(name => `<option value="${name}">${name}</option>`)
+        .join('');
+    const custom = Object.keys(customEqPresets)
+        .map(name => `<option value="${escapeHtml(CUSTOM_PRESET_PREFIX + name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    
+    select.innerHTML = builtIn +
+        (custom ? `<optgroup label="My presets">${custom}</optgroup>` : '') +
+        (getEqPresetGains(eqPreset) ? '' : '<option value="Custom">Custom</option>');
+    select.value = getEqPresetGains(eqPreset) ? eqPreset : 'Custom';
+    
+    document.getElementById('eqDeleteBtn').disabled = !eqPreset.startsWith(CUSTOM_PRESET_PREFIX);
+}
+
 // Create frequency bars
 function createFrequencyBars() {
     const visualizer = document.getElementById('frequencyVisualizer');
@@ -108,28 +651,199 @@ function toggleMute() {
     
     if (isMuted) {
         // Unmute
-        audioPlayer.volume = lastVolume / 100;
+        setPlayerVolume(lastVolume / 100);
         document.getElementById('volumeBarFill').style.width = lastVolume + '%';
         volumeIcon.textContent = lastVolume > 50 ? '🔊' : lastVolume > 0 ? '🔉' : '🔈';
         isMuted = false;
     } else {
         // Mute
         lastVolume = Math.round(audioPlayer.volume * 100);
-        audioPlayer.volume = 0;
+        setPlayerVolume(0);
         document.getElementById('volumeBarFill').style.width = '0%';
         volumeIcon.textContent = '🔇';
         isMuted = true;
     }
 }
 
-// Skip forward 10 seconds
+// Skip forward 10 seconds (crosses into the next track)
 function skipForward() {
-    audioPlayer.currentTime = Math.min(audioPlayer.currentTime + 10, audioPlayer.duration);
+    if (blockedByParty()) return;
+    moveHead(getHeadPosition() + 10);
 }
 
-// Skip backward 10 seconds
+// Skip backward 10 seconds (crosses into the previous track)
 function skipBackward() {
-    audioPlayer.currentTime = Math.max(audioPlayer.currentTime - 10, 0);
+    if (blockedByParty()) return;
+    moveHead(getHeadPosition() - 10);
+}
+
+// Length of a track on the timeline (the loaded one knows its exact duration)
+function getTrackLength(index) {
+    if (index === currentTrackIndex && isFinite(audioPlayer.duration)) {
+        return audioPlayer.duration;
+    }
+    const track = getCurrentPlaylist()[index];
+    return (track && track.duration) || 0;
+}
+
+// Where a track starts on the side's timeline
+function getTrackStart(index) {
+    let start = 0;
+    for (let i = 0; i < index; i++) {
+        start += getTrackLength(i);
+    }
+    return start;
+}
+
+// Length of the recorded part of the side
+function getRecordedLength() {
+    return getTrackStart(getCurrentPlaylist().length);
+}
+
+// Length of one side of the cassette (at least as long as what is recorded)
+function getSideLength() {
+    const capacity = playlists.capacity && playlists.capacity[currentSide];
+    return Math.max(capacity ? capacity.sideSeconds : 0, getRecordedLength());
+}
+
+// Tape head position in seconds from the start of the side
+function getHeadPosition() {
+    return getTrackStart(Math.max(currentTrackIndex, 0)) + (audioPlayer.currentTime || 0);
+}
+
+// Move the tape head, loading whichever track is under it
+function moveHead(position) {
+    const playlist = getCurrentPlaylist();
+    if (playlist.length === 0) return;
+    
+    position = Math.min(Math.max(position, 0), getSideLength());
+    
+    // Past the last track is blank tape: park at the end of the recording
+    let index = playlist.length - 1;
+    let offset = getTrackLength(index);
+    let start = 0;
+    for (let i = 0; i < playlist.length; i++) {
+        const length = getTrackLength(i);
+        if (position < start + length) {
+            index = i;
+            offset = position - start;
+            break;
+        }
+        start += length;
+    }
+    
+    if (index !== currentTrackIndex) {
+        loadTrack(index, offset);
+    } else {
+        audioPlayer.currentTime = offset;
+    }
+    updateTapeCounter();
+}
+
+// Skip buttons: a click skips 10 s, holding them winds the tape
+function pressWind(direction) {
+    cancelWind();
+    holdTimer = setTimeout(() => {
+        holdTimer = null;
+        startWinding(direction);
+    }, HOLD_DELAY);
+}
+
+function releaseWind(direction) {
+    if (holdTimer) {
+        clearTimeout(holdTimer);
+        holdTimer = null;
+        direction < 0 ? skipBackward() : skipForward();
+    } else if (windDirection) {
+        stopWinding();
+    }
+}
+
+function cancelWind() {
+    if (holdTimer) {
+        clearTimeout(holdTimer);
+        holdTimer = null;
+    }
+    if (windDirection) stopWinding();
+}
+
+// Keyboard activation of the skip buttons (pointer presses are handled above)
+function skipButtonClick(event, direction) {
+    if (event.detail === 0) {
+        direction < 0 ? skipBackward() : skipForward();
+    }
+}
+
+// Is the deck winding with the audio muted (no cue/review)?
+function isWindingSilently() {
+    return windDirection !== 0 && !cueReview;
+}
+
+// Start rewinding (-1) or fast-forwarding (1) at high speed
+function startWinding(direction) {
+    if (getCurrentPlaylist().length === 0 || blockedByParty()) return;
+    
+    windDirection = direction;
+    
+    if (isPlaying && cueReview) {
+        // Cue / review: let the audio chatter along at high speed
+        audioPlayer.defaultPlaybackRate = CUE_PLAYBACK_RATE;
+        audioPlayer.playbackRate = CUE_PLAYBACK_RATE;
+    } else if (isPlaying) {
+        audioPlayer.pause();
+    }
+    
+    setStatus(direction > 0 ? '▶▶ Fast-forward' : '◀◀ Rewind');
+    windTimer = setInterval(windStep, WIND_INTERVAL);
+}
+
+function windStep() {
+    const target = getHeadPosition() + windDirection * WIND_SPEED * WIND_INTERVAL / 1000;
+    
+    if (target <= 0) {
+        moveHead(0);
+        stopWinding();
+        setStatus(`Rewound to the start of Side ${currentSide}`);
+    } else if (target >= getRecordedLength()) {
+        moveHead(getRecordedLength());
+        stopWinding();
+        setStatus(`End of Side ${currentSide}`);
+    } else {
+        moveHead(target);
+    }
+}
+
+function stopWinding() {
+    clearInterval(windTimer);
+    windTimer = null;
+    windDirection = 0;
+    
+    audioPlayer.defaultPlaybackRate = 1;
+    audioPlayer.playbackRate = 1;
+    if (isPlaying) audioPlayer.play();
+    
+    setStatus(`Side ${currentSide} · counter ${formatCounter(getHeadPosition())}`);
+    saveSession();
+}
+
+// Toggle cue/review sound while winding
+function toggleCueReview() {
+    cueReview = !cueReview;
+    updateCueReviewUI();
+    saveSession();
+}
+
+function updateCueReviewUI() {
+    document.getElementById('cueBtn').classList.toggle('active', cueReview);
+}
+
+// Tape counter: seconds from the start of the side
+function formatCounter(seconds) {
+    return String(Math.floor(seconds)).padStart(4, '0');
+}
+
+function updateTapeCounter() {
+    document.getElementById('tapeCounter').textContent = formatCounter(getHeadPosition());
 }
 
 // Toggle track list
@@ -139,14 +853,35 @@ function toggleTrackList() {
     trackList.style.display = trackListVisible ? 'block' : 'none';
 }
 
+// Toggle tape shelf
+function toggleTapeShelf() {
+    tapeShelfVisible = !tapeShelfVisible;
+    document.getElementById('tapeShelf').style.display = tapeShelfVisible ? 'block' : 'none';
+}
+
+// Keep both players at the same volume
+function setPlayerVolume(value) {
+    players.forEach(player => {
+        player.volume = value;
+    });
+}
+
 // Volume control via mini bar
 function changeVolume(event) {
     const bar = event.currentTarget;
     const clickX = event.offsetX;
     const width = bar.offsetWidth;
-    const percentage = (clickX / width) * 100;
-    
-    audioPlayer.volume = percentage / 100;
+    setVolume((clickX / width) * 100);
+}
+
+// Nudge the volume up or down (keyboard)
+function stepVolume(delta) {
+    const current = isMuted ? 0 : audioPlayer.volume * 100;
+    setVolume(Math.min(Math.max(Math.round(current + delta), 0), 100));
+}
+
+function setVolume(percentage) {
+    setPlayerVolume(percentage / 100);
     document.getElementById('volumeBarFill').style.width = percentage + '%';
     
     // Update volume icon
@@ -163,9 +898,23 @@ function changeVolume(event) {
     saveVolumeToBackend(percentage);
 }
 
+// Call the API with this listener's session ID
+function apiFetch(path, options = {}) {
+    const headers = { ...options.headers };
+    if (sessionId) headers['X-Session-Id'] = sessionId;
+    
+    // Cookies go along so an admin login works when the API is on another port
+    return fetch(`${API_URL}${path}`, { ...options, headers, credentials: 'include' });
+}
+
+// Message from an API error response ({ error: { code, message, field } })
+function getErrorMessage(data, fallback) {
+    return (data && data.error && data.error.message) || fallback;
+}
+
 async function saveVolumeToBackend(value) {
     try {
-        await fetch(`${API_URL}/api/session/volume`, {
+        await apiFetch('/api/session/volume', {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ volume: parseInt(value) })
@@ -175,227 +924,1756 @@ async function saveVolumeToBackend(value) {
     }
 }
 
-// Load playlists
-async function loadPlaylists() {
-    try {
-        setStatus('Loading tracks...');
-        const response = await fetch(`${API_URL}/api/playlists`);
-        const data = await response.json();
-        
-        playlists = data;
-        
-        if (playlists.sideA.length === 0 && playlists.sideB.length === 0) {
-            setStatus('No tracks found');
-        } else {
-            setStatus(`Loaded ${playlists.sideA.length + playlists.sideB.length} tracks`);
-            updateTrackList();
-            
-            if (getCurrentPlaylist().length > 0) {
-                loadTrack(0);
-            }
-        }
-    } catch (error) {
-        console.error('Error loading playlists:', error);
-        setStatus('Error: Cannot connect to server');
+// Sleep timer picked: 15/30/60 minutes, end of track, end of side or off
+function setSleepTimer(value) {
+    resetSleepFade();
+    
+    if (value === 'off') {
+        sleepTimer = null;
+    } else if (value === 'track' || value === 'side') {
+        sleepTimer = { mode: value, minutes: null, endsAt: null };
+    } else {
+        const minutes = Number(value);
+        sleepTimer = { mode: 'minutes', minutes, endsAt: Date.now() + minutes * 60 * 1000 };
     }
+    
+    startSleepTicker();
+    saveSession();
 }
 
-// Load session
-async function loadSession() {
-    try {
-        const response = await fetch(`${API_URL}/api/session`);
-        const session = await response.json();
-        
-        if (session.currentSide) {
-            currentSide = session.currentSide;
-            updateSideUI();
-        }
-        
-        if (session.volume !== undefined) {
-            audioPlayer.volume = session.volume / 100;
-            lastVolume = session.volume;
-            document.getElementById('volumeBarFill').style.width = session.volume + '%';
-        }
-        
-        if (session.tapeMode !== undefined) {
-            tapeMode = session.tapeMode;
-            updateTapeModeUI();
-        }
-        
-        if (session.currentTime !== undefined) {
-            savedTimestamp = session.currentTime;
-        }
-    } catch (error) {
-        console.error('Error loading session:', error);
-    }
+function startSleepTicker() {
+    clearInterval(sleepTicker);
+    sleepTicker = sleepTimer ? setInterval(updateSleepTimer, 1000) : null;
+    updateSleepTimer();
 }
 
-// Save session
-async function saveSession() {
-    try {
-        const currentTrack = getCurrentPlaylist()[currentTrackIndex];
-        await fetch(`${API_URL}/api/session`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                currentSide: currentSide,
-                currentTrackId: currentTrack?.id,
-                currentTime: Math.floor(audioPlayer.currentTime),
-                volume: Math.round(audioPlayer.volume * 100),
-                tapeMode: tapeMode,
-                isPlaying: isPlaying
-            })
-        });
-    } catch (error) {
-        console.error('Error saving session:', error);
+// Seconds of music left before the timer stops playback
+function getSleepRemaining() {
+    if (sleepTimer.mode === 'minutes') {
+        return (sleepTimer.endsAt - Date.now()) / 1000;
     }
+    
+    const trackLeft = isFinite(audioPlayer.duration) ? audioPlayer.duration - audioPlayer.currentTime : 0;
+    if (sleepTimer.mode === 'track') return trackLeft;
+    
+    // End of side: what is left of this track plus every track still to come
+    const playlist = getCurrentPlaylist();
+    const upcoming = shuffle
+        ? playlist.filter(track => shuffleQueue.includes(track.id))
+        : playlist.slice(currentTrackIndex + 1);
+    return upcoming.reduce((total, track) => total + (track.duration || 0), trackLeft);
 }
 
-// Get current playlist
-function getCurrentPlaylist() {
+// Is the loaded track the last one before the timer stops playback?
+function isSleepTrack() {
+    if (!sleepTimer) return false;
+    if (sleepTimer.mode === 'track') return true;
+    if (sleepTimer.mode !== 'side') return false;
+    return shuffle ? shuffleQueue.length === 0 : currentTrackIndex >= getCurrentPlaylist().length - 1;
+}
+
+// Runs every second while a timer is set: status bar countdown and the fade
+function updateSleepTimer() {
+    const statusEl = document.getElementById('sleepStatus');
+    document.getElementById('sleepSelect').value = sleepTimer
+        ? (sleepTimer.mode === 'minutes' ? String(sleepTimer.minutes) : sleepTimer.mode)
+        : 'off';
+    
+    if (!sleepTimer) {
+        statusEl.textContent = '';
+        return;
+    }
+    
+    const remaining = Math.max(getSleepRemaining(), 0);
+    const label = { minutes: '', track: ' (end of track)', side: ' (end of side)' }[sleepTimer.mode];
+    statusEl.textContent = `💤 ${formatTime(remaining)}${label}`;
+    
+    if (sleepTimer.mode === 'minutes' && remaining <= 0) {
+        fireSleepTimer();
+    } else if (remaining <= SLEEP_FADE_TIME && isPlaying && !sleepFading &&
+               (sleepTimer.mode === 'minutes' || isSleepTrack())) {
+        startSleepFade(remaining);
+    }
+}
+
+// Fade the output to silence over the given seconds
+function startSleepFade(seconds) {
+    sleepFading = true;
+    if (!masterGain) return;
+    
+    const now = audioContext.currentTime;
+    masterGain.gain.cancelScheduledValues(now);
+    masterGain.gain.setValueAtTime(masterGain.gain.value, now);
+    masterGain.gain.linearRampToValueAtTime(0, now + Math.max(seconds, 0.5));
+}
+
+function resetSleepFade() {
+    sleepFading = false;
+    if (!masterGain) return;
+    
+    const now = audioContext.currentTime;
+    masterGain.gain.cancelScheduledValues(now);
+    masterGain.gain.setValueAtTime(1, now);
+}
+
+// Time is up: stop like the pause button, then bring the volume back
+function fireSleepTimer() {
+    sleepTimer = null;
+    clearInterval(sleepTicker);
+    sleepTicker = null;
+    
+    if (isPartyFollower()) leaveParty(); // Stop without following the host
+    if (isPlaying) togglePlay();
+    setTimeout(resetSleepFade, MOTOR_RAMP_TIME + 100); // After the motor has stopped
+    
+    updateSleepTimer();
+    setStatus('Sleep timer: playback stopped');
+    saveSession();
+}
+
+// Count the time the current track is actually heard; the first moment
+// of a track reports its start
+function trackListening() {
+    const track = getCurrentPlaylist()[currentTrackIndex];
+    const time = audioPlayer.currentTime;
+    
+    if (!track || !isPlaying || windDirection || audioPlayer.paused) {
+        if (currentPlay) currentPlay.lastTime = time;
+        return;
+    }
+    
+    if (!currentPlay || currentPlay.trackId !== track.id) {
+        endPlay('skip');
+        currentPlay = { trackId: track.id, listened: 0, lastTime: time };
+        sendPlayEvent('start', currentPlay);
+        return;
+    }
+    
+    // Jumps (seeks, winding) are not listening time
+    const delta = time - currentPlay.lastTime;
+    if (delta > 0 && delta < 1.5) currentPlay.listened += delta;
+    currentPlay.lastTime = time;
+}
+
+// The current play is over: played to the end (complete) or left (skip)
+function endPlay(type) {
+    if (!currentPlay) return;
+    sendPlayEvent(type, currentPlay);
+    currentPlay = null;
+}
+
+async function sendPlayEvent(type, play) {
+    try {
+        await apiFetch('/api/history', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type, trackId: play.trackId, position: play.lastTime, listened: play.listened }),
+            keepalive: true
+        });
+    } catch (error) {
+        console.error('Error logging play:', error);
+    }
+}
+
+// Toggle stats panel
+function toggleStatsPanel() {
+    statsVisible = !statsVisible;
+    document.getElementById('statsPanel').style.display = statsVisible ? 'block' : 'none';
+    if (statsVisible) loadStats();
+}
+
+// Most played tracks of the loaded tape
+async function loadStats() {
+    const summaryEl = document.getElementById('statsSummary');
+    const listEl = document.getElementById('statsTopTracks');
+    
+    try {
+        const response = await apiFetch(`/api/stats?tapeId=${encodeURIComponent(currentTapeId)}&limit=10`);
+        const stats = await response.json();
+        const { totals } = stats;
+        
+        const skipped = totals.skipRate !== null ? ` · ${Math.round(totals.skipRate * 100)}% skipped` : '';
+        summaryEl.textContent = `${totals.plays} plays · ${formatListeningTime(totals.listeningSeconds)} listened${skipped}`;
+        
+        listEl.innerHTML = stats.topTracks.length === 0
+            ? '<div class="stats-empty">Nothing played from this tape yet</div>'
+            : stats.topTracks.map((track, index) => `
+                <div class="stats-row">
+                    <span><span class="track-number">${index + 1}.</span>${escapeHtml(track.title)} <span class="search-artist">${escapeHtml(track.artist)}</span></span>
+                    <span class="stats-plays">${track.plays}×</span>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading stats:', error);
+        summaryEl.textContent = 'Could not load stats';
+    }
+}
+
+// "1 h 5 min", "12 min"
+function formatListeningTime(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Download this listener's history as a ListenBrainz import file
+async function exportListens() {
+    try {
+        const response = await apiFetch('/api/history/export');
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'listens.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        console.error('Error exporting history:', error);
+        setStatus('Error exporting history');
+    }
+}
+
+// Ask the server whether we are logged in as admin
+async function loadAuth() {
+    try {
+        const response = await apiFetch('/api/auth');
+        const data = await response.json();
+        isAdmin = Boolean(data.admin);
+    } catch (error) {
+        isAdmin = false; // Offline: library changes would fail anyway
+    }
+    updateAdminUI();
+}
+
+// Admin panel: the login form, or a logout button once logged in
+function toggleAdminPanel() {
+    adminVisible = !adminVisible;
+    document.getElementById('adminPanel').style.display = adminVisible ? 'block' : 'none';
+    if (adminVisible && !isAdmin) document.getElementById('adminPassword').focus();
+}
+
+async function adminLogin(event) {
+    event.preventDefault();
+    const passwordEl = document.getElementById('adminPassword');
+    
+    try {
+        const response = await apiFetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: passwordEl.value })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(getErrorMessage(data, 'Login failed'));
+            return;
+        }
+        
+        passwordEl.value = '';
+        isAdmin = true;
+        updateAdminUI();
+        updateTrackList();
+        setStatus('Logged in as admin');
+    } catch (error) {
+        console.error('Error logging in:', error);
+        setStatus('Error logging in');
+    }
+}
+
+async function adminLogout() {
+    try {
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    
+    isAdmin = false;
+    updateAdminUI();
+    updateTrackList();
+    if (tagEditorVisible) toggleTagEditor();
+    setStatus('Logged out');
+}
+
+// Library controls (new tape, tag editor, import, move, delete) are only
+// shown to admins
+function updateAdminUI() {
+    document.body.classList.toggle('is-admin', isAdmin);
+    document.getElementById('adminBtn').textContent = isAdmin ? '🔓' : '🔒';
+    document.getElementById('adminForm').style.display = isAdmin ? 'none' : 'flex';
+    document.getElementById('adminLoggedIn').style.display = isAdmin ? 'flex' : 'none';
+}
+
+// Listening party panel
+function togglePartyPanel() {
+    partyVisible = !partyVisible;
+    document.getElementById('partyPanel').style.display = partyVisible ? 'block' : 'none';
+    if (partyVisible) updatePartyUI();
+}
+
+function isPartyHost() {
+    return party !== null && party.members.some(member => member.id === partyMemberId && member.isHost);
+}
+
+function isPartyFollower() {
+    return party !== null && !isPartyHost();
+}
+
+// Followers leave the controls to the host
+function blockedByParty() {
+    if (!isPartyFollower() || partyApplying) return false;
+    setStatus('Following the party host · click a track to request it');
+    return true;
+}
+
+// Start a new party hosted by this player
+function startParty() {
+    connectParty(null);
+}
+
+function joinParty() {
+    const code = document.getElementById('partyCodeInput').value.trim();
+    if (!code) {
+        setStatus('Enter the party code');
+        return;
+    }
+    connectParty(code);
+}
+
+function connectParty(code) {
+    const name = document.getElementById('partyName').value.trim();
+    localStorage.setItem(PARTY_NAME_KEY, name);
+    if (partySocket) partySocket.close();
+    
+    const socket = new WebSocket(`${API_URL.replace(/^http/, 'ws')}/api/party?sessionId=${encodeURIComponent(sessionId || '')}`);
+    partySocket = socket;
+    
+    socket.addEventListener('open', () => {
+        socket.send(JSON.stringify({ type: 'join', room: code, name }));
+    });
+    socket.addEventListener('message', (e) => handlePartyMessage(JSON.parse(e.data)));
+    socket.addEventListener('close', () => {
+        if (partySocket !== socket) return; // Replaced by a newer connection
+        if (party) setStatus('Left the listening party');
+        partySocket = null;
+        party = null;
+        partyState = null;
+        updatePartyUI();
+    });
+}
+
+function leaveParty() {
+    if (partySocket) partySocket.close();
+}
+
+function handlePartyMessage(message) {
+    if (message.type === 'room') {
+        const wasHost = isPartyHost();
+        const joined = party === null;
+        party = message.party;
+        partyMemberId = message.you;
+        
+        if (joined) {
+            setStatus(isPartyHost() ? `Party ${party.code} started` : `Joined party ${party.code}`);
+        } else if (isPartyHost() && !wasHost) {
+            setStatus('The host left · you are the host now');
+        }
+        // A new host's player is the truth from now on
+        if (isPartyHost() && (joined || !wasHost)) sendPartyState();
+        updatePartyUI();
+    } else if (message.type === 'state') {
+        partyState = { ...message.state, receivedAt: performance.now() };
+        partyApplyChain = partyApplyChain
+            .then(followPartyHost)
+            .catch(error => console.error('Error following the party host:', error));
+    } else if (message.type === 'answered') {
+        const { title } = message.request;
+        setStatus(message.approved ? `The host is playing your request: ${title}` : `The host declined ${title}`);
+    } else if (message.type === 'error') {
+        setStatus(`Party: ${message.error}`);
+        if (!party) partySocket.close();
+    }
+}
+
+// Host: send the playback state once a burst of changes has settled
+function schedulePartyUpdate() {
+    if (!isPartyHost()) return;
+    clearTimeout(partyUpdateTimer);
+    partyUpdateTimer = setTimeout(sendPartyState, PARTY_UPDATE_DELAY);
+}
+
+function sendPartyState() {
+    if (!partySocket || partySocket.readyState !== WebSocket.OPEN || !isPartyHost()) return;
+    
+    const currentTrack = getCurrentPlaylist()[currentTrackIndex];
+    partySocket.send(JSON.stringify({
+        type: 'state',
+        state: {
+            currentTapeId: currentTapeId,
+            currentSide: currentSide,
+            currentTrackId: currentTrack ? currentTrack.id : null,
+            currentTime: audioPlayer.currentTime || 0,
+            isPlaying: isPlaying
+        }
+    }));
+}
+
+// Where the host's tape is now
+function getPartyPosition() {
+    const elapsed = (performance.now() - partyState.receivedAt) / 1000;
+    return partyState.isPlaying ? partyState.currentTime + elapsed : partyState.currentTime;
+}
+
+// Follower: load the host's tape, side and track, then match play/pause
+async function followPartyHost() {
+    const state = partyState;
+    if (!isPartyFollower() || !state) return;
+    
+    partyApplying = true;
+    try {
+        if (state.currentTapeId !== currentTapeId) {
+            await loadTape(state.currentTapeId);
+        }
+        
+        if (state.currentSide !== currentSide) {
+            if (windDirection) stopWinding();
+            currentSide = state.currentSide;
+            currentTrackIndex = -1;
+            resetPlayOrder();
+            updateSideUI();
+            updateTrackList();
+        }
+        
+        const index = getCurrentPlaylist().findIndex(track => track.id === state.currentTrackId);
+        if (index < 0) {
+            if (isPlaying) togglePlay();
+            return;
+        }
+        
+        if (index !== currentTrackIndex || !audioPlayer.src) {
+            loadTrack(index, getPartyPosition());
+        } else {
+            correctPartyDrift(true);
+        }
+        
+        if (state.isPlaying !== isPlaying) togglePlay();
+    } finally {
+        partyApplying = false;
+    }
+}
+
+// Follower: seek back in line with the host once it has drifted too far
+function correctPartyDrift(force = false) {
+    if (!isPartyFollower() || !partyState || windDirection) return;
+    
+    const track = getCurrentPlaylist()[currentTrackIndex];
+    if (!track || track.id !== partyState.currentTrackId) return;
+    if (audioPlayer.seeking || audioPlayer.readyState < HTMLMediaElement.HAVE_METADATA) return;
+    
+    const now = performance.now();
+    if (!force && now - lastDriftCorrection < PARTY_CORRECTION_INTERVAL) return;
+    
+    const expected = Math.min(getPartyPosition(), audioPlayer.duration);
+    if (Math.abs(audioPlayer.currentTime - expected) > PARTY_MAX_DRIFT) {
+        audioPlayer.currentTime = expected;
+        lastDriftCorrection = now;
+    }
+}
+
+// Follower: ask the host to play a track
+function requestPartyTrack(track) {
+    partySocket.send(JSON.stringify({ type: 'request', trackId: track.id }));
+    setStatus(`Asked the host for ${track.title}`);
+}
+
+// Host: play (approve) or drop a request
+async function answerPartyRequest(requestId, approve) {
+    const request = party.requests.find(candidate => candidate.id === requestId);
+    if (!request) return;
+    
+    partySocket.send(JSON.stringify({ type: 'answer', requestId, approve }));
+    if (!approve) return;
+    
+    if (request.tapeId !== currentTapeId) await loadTape(request.tapeId);
+    if (jumpToTrack(request.side, request.trackId)) {
+        setStatus(`Playing ${request.name}'s request: ${request.title}`);
+    } else {
+        setStatus('Requested track is no longer on this tape');
+    }
+}
+
+function updatePartyUI() {
+    document.getElementById('partyForm').style.display = party ? 'none' : 'flex';
+    document.getElementById('partyRoom').style.display = party ? 'block' : 'none';
+    
+    if (!party) {
+        document.getElementById('partyName').value = localStorage.getItem(PARTY_NAME_KEY) || '';
+        return;
+    }
+    
+    document.getElementById('partyTitle').textContent =
+        `Party ${party.code} · ${isPartyHost() ? 'you are the host' : 'following the host'}`;
+    
+    document.getElementById('partyMembers').innerHTML = party.members.map(member => `
+        <div class="stats-row">
+            <span>${member.isHost ? '👑' : '🎧'} ${escapeHtml(member.name)}${member.id === partyMemberId ? ' (you)' : ''}</span>
+            <span class="stats-plays">${member.isHost ? 'host' : ''}</span>
+        </div>
+    `).join('');
+    
+    document.getElementById('partyRequests').innerHTML = party.requests.length === 0
+        ? '<div class="stats-empty">No requests</div>'
+        : party.requests.map(request => `
+            <div class="stats-row party-request">
+                <span>${escapeHtml(request.title)} <span class="search-artist">${escapeHtml(request.name)}</span></span>
+                ${isPartyHost() ? `
+                    <span class="party-request-actions">
+                        <button class="track-list-btn" onclick="answerPartyRequest('${request.id}', true)">Play</button>
+                        <button class="track-list-btn" onclick="answerPartyRequest('${request.id}', false)">✕</button>
+                    </span>
+                ` : ''}
+            </div>
+        `).join('');
+}
+
+// Hook into the browser's media controls (OS overlays, lock screen, media keys)
+function setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+    
+    const handlers = {
+        play: () => { if (!isPlaying) togglePlay(); },
+        pause: () => { if (isPlaying) togglePlay(); },
+        stop: () => { if (isPlaying) togglePlay(); },
+        nexttrack: () => nextTrack(),
+        previoustrack: () => previousTrack(),
+        seekforward: () => skipForward(),
+        seekbackward: () => skipBackward(),
+        seekto: (details) => {
+            if (blockedByParty()) return;
+            audioPlayer.currentTime = details.seekTime;
+        }
+    };
+    
+    Object.entries(handlers).forEach(([action, handler]) => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handler);
+        } catch (error) {
+            // Action not supported by this browser
+        }
+    });
+}
+
+// Title, artist and cover shown by the OS
+function updateMediaMetadata(track) {
+    if (!('mediaSession' in navigator)) return;
+    
+    navigator.mediaSession.metadata = track ? new MediaMetadata({
+        title: track.title,
+        artist: track.artist,
+        album: `${track.album} · Side ${currentSide}`,
+        artwork: track.coverThumbnails
+            ? Object.entries(track.coverThumbnails).map(([size, url]) => ({
+                src: new URL(url, API_URL).href,
+                sizes: `${size}x${size}`,
+                type: 'image/webp'
+            }))
+            : []
+    }) : null;
+}
+
+function updateMediaPlaybackState() {
+    if (!('mediaSession' in navigator)) return;
+    
+    navigator.mediaSession.playbackState = isPlaying ? 'playing' : 'paused';
+    if (isFinite(audioPlayer.duration) && audioPlayer.duration > 0) {
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: audioPlayer.duration,
+                position: Math.min(audioPlayer.currentTime, audioPlayer.duration),
+                playbackRate: audioPlayer.playbackRate || 1
+            });
+        } catch (error) {
+            // Position state not supported
+        }
+    }
+}
+
+// Keyboard shortcuts (not while typing in a field)
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', (event) => {
+        const key = describeKey(event);
+        if (!key || event.metaKey) return;
+        
+        if (rebindingAction) {
+            event.preventDefault();
+            if (key !== 'Escape') rebindKey(rebindingAction, key);
+            rebindingAction = null;
+            updateShortcutHelp();
+            return;
+        }
+        
+        if (event.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+        
+        if (key === 'Escape' && isShortcutHelpOpen()) {
+            toggleShortcutHelp();
+            return;
+        }
+        
+        const action = Object.keys(keyBindings).find(name => keyBindings[name] === key);
+        if (!action || !KEY_ACTIONS[action]) return;
+        
+        event.preventDefault(); // Keep space and arrows from scrolling or clicking
+        KEY_ACTIONS[action].run();
+    });
+}
+
+// Name of a key press as used in the bindings, e.g. "Space", "M", "Shift+ArrowRight".
+// Shift is left out for printable characters, where it is part of the character.
+function describeKey(event) {
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return null;
+    
+    let key = event.key === ' ' ? 'Space' : event.key;
+    const printable = key.length === 1;
+    if (printable) key = key.toUpperCase();
+    
+    return `${event.ctrlKey ? 'Ctrl+' : ''}${event.altKey ? 'Alt+' : ''}${event.shiftKey && !printable ? 'Shift+' : ''}${key}`;
+}
+
+// Give an action a new key; an action that had that key gets the old one
+function rebindKey(action, key) {
+    const previousKey = keyBindings[action];
+    const clash = Object.keys(keyBindings).find(name => name !== action && keyBindings[name] === key);
+    
+    keyBindings[action] = key;
+    if (clash) keyBindings[clash] = previousKey;
+    
+    saveKeyBindings();
+    setStatus(`${KEY_ACTIONS[action].label}: ${key}`);
+}
+
+function resetKeyBindings() {
+    keyBindings = { ...DEFAULT_KEY_BINDINGS };
+    rebindingAction = null;
+    updateShortcutHelp();
+    saveKeyBindings();
+}
+
+// Only the keys that differ from the defaults are stored
+async function saveKeyBindings() {
+    const changed = {};
+    Object.keys(keyBindings).forEach(action => {
+        if (keyBindings[action] !== DEFAULT_KEY_BINDINGS[action]) changed[action] = keyBindings[action];
+    });
+    
+    try {
+        await apiFetch('/api/session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keyBindings: changed })
+        });
+    } catch (error) {
+        console.error('Error saving shortcuts:', error);
+    }
+}
+
+function isShortcutHelpOpen() {
+    return document.getElementById('shortcutHelp').classList.contains('open');
+}
+
+// Show or hide the shortcut help overlay
+function toggleShortcutHelp() {
+    rebindingAction = null;
+    document.getElementById('shortcutHelp').classList.toggle('open');
+    updateShortcutHelp();
+}
+
+// Click on a key in the overlay: the next key pressed replaces it
+function startRebinding(action) {
+    rebindingAction = action;
+    updateShortcutHelp();
+}
+
+function updateShortcutHelp() {
+    document.getElementById('shortcutList').innerHTML = Object.keys(KEY_ACTIONS).map(action => `
+        <div class="shortcut-row">
+            <span>${KEY_ACTIONS[action].label}</span>
+            <button class="shortcut-key ${rebindingAction === action ? 'waiting' : ''}" onclick="startRebinding('${action}')" title="Click, then press a new key">
+                ${rebindingAction === action ? 'Press a key...' : escapeHtml(keyBindings[action] || '-')}
+            </button>
+        </div>
+    `).join('');
+}
+
+// Load tapes on the shelf
+async function loadTapes() {
+    try {
+        const response = await apiFetch('/api/tapes');
+        const data = await response.json();
+        
+        tapes = data.tapes;
+        updateTapeShelf();
+    } catch (error) {
+        console.error('Error loading tapes:', error);
+    }
+}
+
+// Load playlists of the current tape
+async function loadPlaylists() {
+    try {
+        setStatus('Loading tracks...');
+        const response = await apiFetch(`/api/tapes/${encodeURIComponent(currentTapeId)}/playlists`);
+        
+        if (response.status === 404 && currentTapeId !== 'default') {
+            // Tape was deleted since the session was saved
+            currentTapeId = 'default';
+            return loadPlaylists();
+        }
+        
+        const data = await response.json();
+        
+        playlists = data;
+        currentTrackIndex = -1; // Nothing from the fresh lists loaded yet
+        resetPlayOrder();
+        updateTrackList();
+        
+        if (playlists.sideA.length === 0 && playlists.sideB.length === 0) {
+            setStatus('No tracks found');
+            resetTrackInfo();
+        } else {
+            setStatus(`Loaded ${playlists.sideA.length + playlists.sideB.length} tracks`);
+            
+            // Resume the saved track (IDs stay the same when files are added)
+            const savedIndex = getCurrentPlaylist().findIndex(track => track.id === savedTrackId);
+            savedTrackId = null;
+            
+            if (savedIndex >= 0) {
+                loadTrack(savedIndex, savedTimestamp);
+                savedTimestamp = 0;
+            } else if (getCurrentPlaylist().length > 0) {
+                loadTrack(0);
+            } else {
+                resetTrackInfo();
+            }
+        }
+    } catch (error) {
+        console.error('Error loading playlists:', error);
+        setStatus(offlineTapes.length > 0
+            ? 'Cannot connect to server · tapes saved for offline still play'
+            : 'Error: Cannot connect to server');
+    }
+}
+
+// Listen for library changes pushed by the server
+function connectLibraryEvents() {
+    if (!window.EventSource) return;
+    
+    const events = new EventSource(`${API_URL}/api/events`);
+    
+    // The server is back (or up): hand over anything saved while offline
+    events.addEventListener('open', syncOfflineSession);
+    
+    events.addEventListener('track-added', (e) => {
+        const { tapeId, side, track } = JSON.parse(e.data);
+        mergeLibraryChange(tapeId, side, playlist => {
+            if (playlist.some(t => t.id === track.id)) return;
+            const position = Math.min(track.trackNumber - 1, playlist.length);
+            playlist.splice(position, 0, track);
+        });
+        loadTapes();
+    });
+    
+    events.addEventListener('track-removed', (e) => {
+        const { tapeId, side, trackId } = JSON.parse(e.data);
+        mergeLibraryChange(tapeId, side, playlist => {
+            const index = playlist.findIndex(t => t.id === trackId);
+            if (index >= 0) playlist.splice(index, 1);
+        });
+        loadTapes();
+    });
+    
+    events.addEventListener('metadata-changed', (e) => {
+        const { tapeId, side, track } = JSON.parse(e.data);
+        mergeLibraryChange(tapeId, side, playlist => {
+            const index = playlist.findIndex(t => t.id === track.id);
+            if (index >= 0) playlist[index] = track;
+        });
+    });
+    
+    events.addEventListener('side-reordered', (e) => {
+        const { tapeId, side, trackIds } = JSON.parse(e.data);
+        mergeLibraryChange(tapeId, side, playlist => {
+            const position = new Map(trackIds.map((id, index) => [id, index]));
+            playlist.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+        });
+    });
+    
+    events.addEventListener('tapes-changed', () => {
+        loadTapes();
+    });
+}
+
+// Apply a change to one side's playlist without interrupting playback
+function mergeLibraryChange(tapeId, side, applyChange) {
+    if (tapeId !== currentTapeId) return;
+    
+    const playlist = side === 'A' ? playlists.sideA : playlists.sideB;
+    const isCurrentSide = side === currentSide;
+    const currentTrack = isCurrentSide ? playlist[currentTrackIndex] : null;
+    
+    applyChange(playlist);
+    playlist.forEach((track, index) => {
+        track.trackNumber = index + 1;
+    });
+    
+    if (isCurrentSide && currentTrack) {
+        const newIndex = playlist.findIndex(t => t.id === currentTrack.id);
+        
+        if (newIndex >= 0) {
+            // Keep pointing at the track that is loaded
+            currentTrackIndex = newIndex;
+            showTrackInfo(playlist[newIndex]);
+        } else {
+            // Loaded track was removed: let "next" continue with what followed it
+            currentTrackIndex = Math.min(currentTrackIndex, playlist.length) - 1;
+            setStatus('Current track was removed from the library');
+        }
+    } else if (isCurrentSide && playlist.length > 0 && !audioPlayer.src) {
+        loadTrack(0);
+    }
+    
+    if (isCurrentSide) preloadNextTrack();
+    updateTrackList();
+}
+
+// Load session
+async function loadSession() {
+    try {
+        const response = await apiFetch('/api/session');
+        applySession(await response.json());
+    } catch (error) {
+        console.error('Error loading session:', error);
+        
+        // Server unreachable: carry on from the copy kept in the browser
+        const record = await readOfflineSession().catch(() => null);
+        if (record) applySession(record.session);
+    }
+}
+
+// Restore the player from a session (the server's, or the offline copy)
+function applySession(session) {
+    if (session.sessionId && session.sessionId !== sessionId) {
+        sessionId = session.sessionId;
+        localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+    }
+    
+    if (session.currentTapeId) {
+        currentTapeId = session.currentTapeId;
+    }
+    
+    if (session.currentSide) {
+        currentSide = session.currentSide;
+        updateSideUI();
+    }
+    
+    if (session.volume !== undefined) {
+        setPlayerVolume(session.volume / 100);
+        lastVolume = session.volume;
+        document.getElementById('volumeBarFill').style.width = session.volume + '%';
+    }
+    
+    if (session.tapeMode !== undefined) {
+        tapeMode = session.tapeMode;
+        updateTapeModeUI();
+    }
+    
+    if (session.currentTrackId) {
+        savedTrackId = session.currentTrackId;
+    }
+    
+    if (session.currentTime !== undefined) {
+        savedTimestamp = session.currentTime;
+    }
+    
+    if (session.tapeEffects) {
+        tapeEffects = { ...DEFAULT_TAPE_EFFECTS, ...session.tapeEffects };
+        updateTapeFxUI();
+        applyTapeEffects();
+    }
+    
+    if (session.eqPresets) {
+        customEqPresets = session.eqPresets;
+    }
+    
+    if (session.eq) {
+        eqPreset = session.eq.preset;
+        eqGains = [...session.eq.gains];
+        applyEq();
+    }
+    
+    if (session.cueReview !== undefined) {
+        cueReview = session.cueReview;
+        updateCueReviewUI();
+    }
+    
+    if (session.crossfade !== undefined) {
+        crossfadeSeconds = session.crossfade;
+        updateCrossfadeUI();
+    }
+    
+    if (session.repeat) {
+        repeatMode = session.repeat;
+    }
+    
+    if (session.shuffle !== undefined) {
+        shuffle = session.shuffle;
+    }
+    updatePlayOrderUI();
+    
+    if (session.sleepTimer && (session.sleepTimer.mode !== 'minutes' || session.sleepTimer.endsAt > Date.now())) {
+        sleepTimer = session.sleepTimer;
+        startSleepTicker();
+    }
+    
+    if (session.keyBindings) {
+        keyBindings = { ...DEFAULT_KEY_BINDINGS, ...session.keyBindings };
+    }
+}
+
+// Save session
+async function saveSession() {
+    schedulePartyUpdate();
+    
+    const currentTrack = getCurrentPlaylist()[currentTrackIndex];
+    const session = {
+        currentTapeId: currentTapeId,
+        currentSide: currentSide,
+        currentTrackId: currentTrack?.id,
+        currentTime: Math.floor(audioPlayer.currentTime),
+        volume: Math.round(audioPlayer.volume * 100),
+        tapeMode: tapeMode,
+        cueReview: cueReview,
+        tapeEffects: tapeEffects,
+        eq: { preset: eqPreset, gains: eqGains },
+        crossfade: crossfadeSeconds,
+        repeat: repeatMode,
+        shuffle: shuffle,
+        sleepTimer: sleepTimer,
+        isPlaying: isPlaying
+    };
+    
+    // Kept in the browser first, marked as synced once the server has it
+    const record = { session, savedAt: Date.now(), pending: true };
+    await writeOfflineSession(record).catch(error => console.error('Error keeping session offline:', error));
+    
+    try {
+        const response = await apiFetch('/api/session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(session)
+        });
+        if (response.ok) await markSessionSynced(record.savedAt);
+    } catch (error) {
+        console.error('Error saving session:', error);
+    }
+}
+
+// Service worker for offline use (only works when the page is served over http)
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+function openOfflineDb() {
+    if (!offlineDb) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(OFFLINE_DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDb;
+}
+
+// Last saved session: { session, savedAt, pending } where pending means the
+// server has not got it yet
+async function readOfflineSession() {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(OFFLINE_DB_STORE).objectStore(OFFLINE_DB_STORE).get('current');
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function writeOfflineSession(record) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OFFLINE_DB_STORE, 'readwrite');
+        transaction.objectStore(OFFLINE_DB_STORE).put(record, 'current');
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// The server has the session saved at savedAt (unless a newer one came since)
+async function markSessionSynced(savedAt) {
+    const record = await readOfflineSession();
+    if (record && record.savedAt === savedAt) {
+        await writeOfflineSession({ ...record, pending: false });
+    }
+}
+
+// Send session changes made while the server could not be reached
+async function syncOfflineSession() {
+    try {
+        const record = await readOfflineSession();
+        if (!record || !record.pending) return;
+        
+        const response = await apiFetch('/api/session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(record.session)
+        });
+        if (response.ok) {
+            await markSessionSynced(record.savedAt);
+            setStatus('Offline changes synced');
+        } else if (response.status < 500) {
+            // Refused for good (e.g. the tape was deleted): retrying will not help
+            await markSessionSynced(record.savedAt);
+            const data = await response.json().catch(() => null);
+            setStatus(`Offline changes dropped: ${getErrorMessage(data, `HTTP ${response.status}`)}`);
+        }
+    } catch (error) {
+        // Still offline: tried again when the connection is back
+    }
+}
+
+// Tape shelf button: save a tape for offline playback, or forget the copy
+async function toggleOfflineTape(event, tapeId) {
+    event.stopPropagation();
+    
+    if (offlineTapes.includes(tapeId)) {
+        await removeOfflineTape(tapeId);
+    } else {
+        await saveTapeOffline(tapeId);
+    }
+}
+
+// Cache the tape's playlists and every track's audio, cover and lyrics
+async function saveTapeOffline(tapeId) {
+    if (!window.caches) {
+        setStatus('This browser cannot save tapes offline');
+        return;
+    }
+    if (savingOfflineTapeId) {
+        setStatus('Already saving a tape');
+        return;
+    }
+    
+    const tape = tapes.find(t => t.id === tapeId);
+    const cacheName = OFFLINE_CACHE_PREFIX + tapeId;
+    savingOfflineTapeId = tapeId;
+    updateTapeShelf();
+    
+    try {
+        const cache = await caches.open(cacheName);
+        const playlistsPath = `/api/tapes/${encodeURIComponent(tapeId)}/playlists`;
+        const response = await apiFetch(playlistsPath);
+        if (!response.ok) throw new Error(`Playlists request failed (${response.status})`);
+        
+        await cache.put(`${API_URL}${playlistsPath}`, response.clone());
+        await cache.add(`${API_URL}/api/tapes`);
+        const data = await response.json();
+        
+        const paths = new Set();
+        [...data.sideA, ...data.sideB].forEach(track => {
+            paths.add(track.url);
+            if (track.coverThumbnails) Object.values(track.coverThumbnails).forEach(url => paths.add(url));
+            if (track.hasLyrics) paths.add(`/api/tracks/${track.id}/lyrics`);
+        });
+        
+        let saved = 0;
+        for (const filePath of paths) {
+            setStatus(`Saving ${tape.label} for offline... ${saved}/${paths.size}`);
+            await cache.add(`${API_URL}${filePath}`);
+            saved++;
+        }
+        
+        offlineTapes = [...offlineTapes, tapeId];
+        localStorage.setItem(OFFLINE_TAPES_KEY, JSON.stringify(offlineTapes));
+        setStatus(`${tape.label} saved for offline`);
+    } catch (error) {
+        // A half-saved tape would play with gaps: drop it (also frees the space)
+        console.error('Error saving tape offline:', error);
+        await caches.delete(cacheName);
+        setStatus('Error saving tape for offline');
+    } finally {
+        savingOfflineTapeId = null;
+        updateTapeShelf();
+    }
+}
+
+async function removeOfflineTape(tapeId) {
+    const tape = tapes.find(t => t.id === tapeId);
+    if (!confirm(`Remove the offline copy of "${tape ? tape.label : tapeId}"?`)) return;
+    
+    await caches.delete(OFFLINE_CACHE_PREFIX + tapeId);
+    offlineTapes = offlineTapes.filter(id => id !== tapeId);
+    localStorage.setItem(OFFLINE_TAPES_KEY, JSON.stringify(offlineTapes));
+    updateTapeShelf();
+    setStatus('Offline copy removed');
+}
+
+// Get current playlist
+function getCurrentPlaylist() {
     return currentSide === 'A' ? playlists.sideA : playlists.sideB;
 }
 
-// Load track with album cover support
-function loadTrack(index, restoreTime = false) {
+// Load track with album cover support, optionally starting part-way in.
+// goingBack is set when "previous" returns to a track from the history.
+function loadTrack(index, startTime = 0, goingBack = false) {
     const playlist = getCurrentPlaylist();
     
     if (index < 0 || index >= playlist.length) return;
     
+    cancelTransition();
+    if (currentPlay && currentPlay.trackId !== playlist[index].id) endPlay('skip');
+    recordTrackChange(playlist[index], goingBack);
     currentTrackIndex = index;
     const track = playlist[index];
+    const player = audioPlayer;
+    
+    player.src = `${API_URL}${track.url}`;
+    
+    showTrackInfo(track);
+    
+    if (startTime > 0) {
+        player.addEventListener('loadedmetadata', () => {
+            player.currentTime = startTime;
+        }, { once: true });
+    }
+    
+    updateTrackList();
+    preloadNextTrack();
+    saveSession();
+}
+
+// Index of the track that plays after the current one, or -1 at the end of
+// the side. manual is set for the "next" button, which leaves repeat-one.
+function getUpcomingTrackIndex(manual = false) {
+    const playlist = getCurrentPlaylist();
+    if (playlist.length === 0) return -1;
+    
+    if (repeatMode === 'one' && !manual && currentTrackIndex >= 0) {
+        return currentTrackIndex;
+    }
+    
+    if (shuffle) {
+        const ids = new Set(playlist.map(track => track.id));
+        shuffleQueue = shuffleQueue.filter(id => ids.has(id));
+        if (shuffleQueue.length === 0 && repeatMode === 'side') {
+            shuffleQueue = buildShuffleQueue(); // Reshuffle for the next round
+        }
+        return shuffleQueue.length > 0 ? playlist.findIndex(track => track.id === shuffleQueue[0]) : -1;
+    }
+    
+    const next = currentTrackIndex + 1;
+    if (next < playlist.length) return next;
+    return repeatMode === 'side' ? 0 : -1;
+}
+
+// Every track on this side except the loaded one, in random order
+function buildShuffleQueue() {
+    const current = getCurrentPlaylist()[currentTrackIndex];
+    const ids = getCurrentPlaylist()
+        .map(track => track.id)
+        .filter(id => !current || id !== current.id);
+    
+    for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    return ids;
+}
+
+// Keep the history and the shuffle queue in step when a track is loaded
+function recordTrackChange(track, goingBack = false) {
+    const current = getCurrentPlaylist()[currentTrackIndex];
+    shuffleQueue = shuffleQueue.filter(id => id !== track.id);
+    
+    if (goingBack || windDirection || !current || current.id === track.id) return;
+    playHistory.push(current.id);
+    if (playHistory.length > MAX_HISTORY) playHistory.shift();
+}
+
+// Start the history and shuffle over (another side or tape was put on)
+function resetPlayOrder() {
+    playHistory = [];
+    shuffleQueue = shuffle ? buildShuffleQueue() : [];
+}
+
+// Cycle repeat: off -> side -> tape -> one
+function cycleRepeat() {
+    repeatMode = REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length];
+    updatePlayOrderUI();
+    preloadNextTrack();
+    saveSession();
+    
+    const descriptions = {
+        off: tapeMode ? 'Repeat off · plays Side A, flips, stops after Side B' : 'Repeat off',
+        side: `Repeat Side ${currentSide}`,
+        tape: tapeMode ? 'Repeat tape · auto-reverse keeps flipping' : 'Repeat tape · continues on the other side',
+        one: 'Repeat current track'
+    };
+    setStatus(descriptions[repeatMode]);
+}
+
+function toggleShuffle() {
+    shuffle = !shuffle;
+    shuffleQueue = shuffle ? buildShuffleQueue() : [];
+    updatePlayOrderUI();
+    preloadNextTrack();
+    saveSession();
+    setStatus(shuffle ? `Shuffling Side ${currentSide}` : 'Shuffle off');
+}
+
+function updatePlayOrderUI() {
+    const repeatBtn = document.getElementById('repeatBtn');
+    repeatBtn.textContent = REPEAT_LABELS[repeatMode];
+    repeatBtn.classList.toggle('active', repeatMode !== 'off');
+    document.getElementById('shuffleBtn').classList.toggle('active', shuffle);
+}
+
+function getStandbyPlayer() {
+    return players.find(player => player !== audioPlayer);
+}
+
+// Buffer the upcoming track on the standby player
+function preloadNextTrack() {
+    const standby = getStandbyPlayer();
+    const track = getCurrentPlaylist()[getUpcomingTrackIndex()];
+    
+    if (standby === outgoingPlayer) return; // Busy; preloads once it finishes
+    if (!track) {
+        preloadedTrackId = null;
+        return;
+    }
+    if (track.id === preloadedTrackId) return;
+    
+    standby.src = `${API_URL}${track.url}`;
+    preloadedTrackId = track.id;
+}
+
+// Seconds of crossfade for the next hand-over (tape mode plays back to back)
+function getCrossfadeDuration() {
+    if (tapeMode || !audioContext || !isFinite(audioPlayer.duration)) return 0;
+    return Math.min(crossfadeSeconds, audioPlayer.duration / 2);
+}
+
+// Called while playing: time the hand-over to the preloaded track
+function scheduleTransition() {
+    if (transitionTimer || outgoingPlayer || !isPlaying || windDirection || isSleepTrack()) return;
+    if (!preloadedTrackId || !isFinite(audioPlayer.duration)) return;
+    
+    const lead = getCrossfadeDuration() || GAPLESS_LEAD;
+    const remaining = (audioPlayer.duration - audioPlayer.currentTime) / (audioPlayer.playbackRate || 1);
+    
+    // timeupdate only fires every ~250 ms, a timer hits the exact moment
+    if (remaining > lead + 0.3) return;
+    transitionTimer = setTimeout(() => {
+        transitionTimer = null;
+        startTransition();
+    }, Math.max(remaining - lead, 0) * 1000);
+}
+
+// Start the preloaded track on the standby player and make it the active one.
+// The old player plays out its last moments (or fades out) and then stops.
+function startTransition() {
+    const index = getUpcomingTrackIndex();
+    const track = getCurrentPlaylist()[index];
+    if (!isPlaying || !track || track.id !== preloadedTrackId) return;
+    
+    const outgoing = audioPlayer;
+    const incoming = getStandbyPlayer();
+    const fade = getCrossfadeDuration();
+    
+    incoming.currentTime = 0;
+    incoming.play().catch(error => {
+        console.error('Playback failed:', error);
+        setStatus('Error playing track');
+    });
+    
+    endPlay('complete');
+    recordTrackChange(track);
+    audioPlayer = incoming;
+    outgoingPlayer = outgoing;
+    currentTrackIndex = index;
+    preloadedTrackId = null;
     
-    audioPlayer.src = `${API_URL}${track.url}`;
+    if (fade > 0) crossfadePlayers(outgoing, incoming, fade);
+    
+    showTrackInfo(track);
+    updateTrackList();
+    saveSession();
+}
+
+// Equal-power curves: the summed loudness stays level through the fade
+function crossfadePlayers(outgoing, incoming, seconds) {
+    const steps = 64;
+    const fadeOut = new Float32Array(steps);
+    const fadeIn = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+        const angle = (i / (steps - 1)) * Math.PI / 2;
+        fadeOut[i] = Math.cos(angle);
+        fadeIn[i] = Math.sin(angle);
+    }
+    
+    const now = audioContext.currentTime;
+    [[outgoing, fadeOut], [incoming, fadeIn]].forEach(([player, curve]) => {
+        const gain = playerGains.get(player).gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueCurveAtTime(curve, now, seconds);
+    });
+}
+
+// The old player is done: silence it and preload the track after the new one
+function finishTransition() {
+    const outgoing = outgoingPlayer;
+    if (!outgoing) return;
     
+    outgoingPlayer = null;
+    outgoing.pause();
+    players.forEach(resetPlayerGain);
+    preloadNextTrack();
+}
+
+// Drop a pending or running hand-over (track picked, paused, ...)
+function cancelTransition() {
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+    finishTransition();
+}
+
+function resetPlayerGain(player) {
+    const gain = playerGains.get(player);
+    if (!gain) return;
+    gain.gain.cancelScheduledValues(audioContext.currentTime);
+    gain.gain.setValueAtTime(1, audioContext.currentTime);
+}
+
+// Crossfade slider moved
+function changeCrossfade(value) {
+    crossfadeSeconds = Math.min(Math.max(Number(value), 0), MAX_CROSSFADE);
+    updateCrossfadeUI();
+    saveSession();
+}
+
+function updateCrossfadeUI() {
+    document.getElementById('crossfadeSlider').value = crossfadeSeconds;
+    document.getElementById('crossfadeValue').textContent = crossfadeSeconds > 0 ? `${crossfadeSeconds}s` : 'Off';
+}
+
+// Show title, artist and album cover of a track
+function showTrackInfo(track) {
     document.getElementById('trackTitle').textContent = track.title;
     document.getElementById('trackArtist').textContent = track.artist;
     
-    // Load album cover if available
+    // Load album cover if available (a thumbnail, sharper on high-DPI screens)
     const albumCover = document.getElementById('albumCover');
-    if (track.albumCover) {
-        albumCover.innerHTML = `<img src="${track.albumCover}" alt="${track.title}">`;
+    const thumbnails = track.coverThumbnails;
+    if (thumbnails) {
+        albumCover.innerHTML = `<img src="${API_URL}${thumbnails[256]}" srcset="${API_URL}${thumbnails[256]} 1x, ${API_URL}${thumbnails[512]} 2x" alt="${escapeHtml(track.title)}">`;
     } else {
         // Default music icon
         albumCover.innerHTML = '🎵';
     }
+    applyCoverTheme(track.coverColor);
     
-    // Restore timestamp if switching sides
-    if (restoreTime && savedTimestamp > 0) {
-        audioPlayer.addEventListener('loadedmetadata', () => {
-            audioPlayer.currentTime = savedTimestamp;
-            savedTimestamp = 0;
-        }, { once: true });
+    updateMediaMetadata(track);
+    loadLyrics(track);
+}
+
+// Tint the walkman with the dominant colour of the cover (null: default
+// colours). Hue comes from the cover; saturation and lightness are fixed so
+// text stays readable whatever the cover looks like.
+function applyCoverTheme(color) {
+    const root = document.documentElement.style;
+    
+    if (!color) {
+        COVER_THEME_PROPERTIES.forEach(name => root.removeProperty(name));
+    } else {
+        const { hue, saturation } = hexToHsl(color);
+        const tint = Math.min(saturation, 45);
+        root.setProperty('--accent', `hsl(${hue}, ${tint}%, 42%)`);
+        root.setProperty('--accent-deep', `hsl(${hue}, ${tint}%, 35%)`);
+        root.setProperty('--shell-light', `hsl(${hue}, ${tint}%, 83%)`);
+        root.setProperty('--shell', `hsl(${hue}, ${tint}%, 76%)`);
     }
     
-    updateTrackList();
-    saveSession();
+    const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim();
+    document.querySelector('meta[name="theme-color"]').content = accent;
+}
+
+// "#rrggbb" -> hue (degrees) and saturation (%)
+function hexToHsl(color) {
+    const [r, g, b] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+    const lightness = (max + min) / 2;
+    
+    if (delta === 0) return { hue: 0, saturation: 0 };
+    
+    let hue;
+    if (max === r) hue = ((g - b) / delta) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+    
+    return {
+        hue: Math.round((hue * 60 + 360) % 360),
+        saturation: Math.round((delta / (1 - Math.abs(2 * lightness - 1))) * 100)
+    };
+}
+
+// Tag editor for the loaded track
+function toggleTagEditor() {
+    const track = getCurrentPlaylist()[currentTrackIndex];
+    if (!tagEditorVisible && !track) {
+        setStatus('Load a track to edit its tags');
+        return;
+    }
+    
+    tagEditorVisible = !tagEditorVisible;
+    document.getElementById('tagEditor').style.display = tagEditorVisible ? 'block' : 'none';
+    if (tagEditorVisible) fillTagEditor(track);
+}
+
+// The player shows placeholders for missing tags; the form leaves them empty
+function fillTagEditor(track) {
+    editingTrackId = track.id;
+    // Untagged tracks show a title made from the filename; saving that would write it as a tag
+    document.getElementById('tagTitle').value = track.hasTitle ? track.title : '';
+    document.getElementById('tagArtist').value = track.artist === 'Unknown Artist' ? '' : track.artist;
+    document.getElementById('tagAlbum').value = track.album === 'Unknown Album' ? '' : track.album;
+    document.getElementById('tagTrackNo').value = track.trackNo || '';
+    document.getElementById('tagCover').value = '';
+    document.getElementById('tagRemoveCover').checked = false;
+}
+
+async function saveTags(event) {
+    event.preventDefault();
+    
+    const formData = new FormData();
+    formData.append('title', document.getElementById('tagTitle').value);
+    formData.append('artist', document.getElementById('tagArtist').value);
+    formData.append('album', document.getElementById('tagAlbum').value);
+    formData.append('trackNo', document.getElementById('tagTrackNo').value);
+    
+    const cover = document.getElementById('tagCover').files[0];
+    if (cover) formData.append('cover', cover);
+    if (document.getElementById('tagRemoveCover').checked) formData.append('removeCover', 'true');
+    
+    try {
+        setStatus('Saving tags...');
+        const response = await apiFetch(`/api/tracks/${editingTrackId}/metadata`, {
+            method: 'PUT',
+            body: formData
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(`Error: ${getErrorMessage(data, 'Request failed')}`);
+            return;
+        }
+        
+        mergeLibraryChange(data.tapeId, data.side, playlist => {
+            const index = playlist.findIndex(t => t.id === data.track.id);
+            if (index >= 0) playlist[index] = data.track;
+        });
+        
+        toggleTagEditor();
+        setStatus('Tags saved');
+    } catch (error) {
+        console.error('Error saving tags:', error);
+        setStatus('Error saving tags');
+    }
+}
+
+// Toggle lyrics panel
+function toggleLyricsPanel() {
+    lyricsVisible = !lyricsVisible;
+    document.getElementById('lyricsPanel').style.display = lyricsVisible ? 'block' : 'none';
+    updateLyricsHighlight(true);
+}
+
+// Fetch the lyrics of a track unless they are already shown
+async function loadLyrics(track) {
+    const key = `${track.id}:${track.hasLyrics}`;
+    if (lyrics && lyrics.key === key) return;
+    
+    lyrics = { trackId: track.id, key, synced: false, lines: [] };
+    renderLyrics('Loading lyrics...');
+    if (!track.hasLyrics) {
+        renderLyrics('No lyrics for this track');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/tracks/${track.id}/lyrics`);
+        if (!lyrics || lyrics.key !== key) return; // Track changed meanwhile
+        
+        if (!response.ok) {
+            renderLyrics('No lyrics for this track');
+            return;
+        }
+        const result = await response.json();
+        lyrics = { trackId: track.id, key, synced: result.synced, lines: result.lines };
+        renderLyrics();
+    } catch (error) {
+        console.error('Error loading lyrics:', error);
+        renderLyrics('Could not load lyrics');
+    }
+}
+
+// Clear the panel (nothing loaded)
+function clearLyrics() {
+    lyrics = null;
+    renderLyrics('No track loaded');
+}
+
+function renderLyrics(message) {
+    const panel = document.getElementById('lyricsPanel');
+    activeLyricIndex = -1;
+    
+    if (message || !lyrics || lyrics.lines.length === 0) {
+        panel.innerHTML = `<div class="lyrics-message">${escapeHtml(message || 'No lyrics for this track')}</div>`;
+        return;
+    }
+    
+    panel.classList.toggle('synced', lyrics.synced);
+    panel.innerHTML = lyrics.lines.map((line, index) => lyrics.synced
+        ? `<div class="lyric-line" onclick="seekToLyric(${index})">${escapeHtml(line.text) || '♪'}</div>`
+        : `<div class="lyric-line">${escapeHtml(line.text)}</div>`
+    ).join('');
+    updateLyricsHighlight(true);
+}
+
+// Highlight the line being sung and keep it in the middle of the panel
+function updateLyricsHighlight(force = false) {
+    if (!lyrics || !lyrics.synced || !lyricsVisible) return;
+    
+    const time = audioPlayer.currentTime;
+    let index = -1;
+    while (index + 1 < lyrics.lines.length && lyrics.lines[index + 1].time <= time) {
+        index++;
+    }
+    if (index === activeLyricIndex && !force) return;
+    
+    const panel = document.getElementById('lyricsPanel');
+    const lineEls = panel.querySelectorAll('.lyric-line');
+    lineEls.forEach((el, i) => {
+        el.classList.toggle('active', i === index);
+        el.classList.toggle('sung', i < index);
+    });
+    activeLyricIndex = index;
+    
+    const activeEl = lineEls[index];
+    if (activeEl) {
+        panel.scrollTo({
+            top: activeEl.offsetTop - panel.clientHeight / 2 + activeEl.offsetHeight / 2,
+            behavior: 'smooth'
+        });
+    }
+}
+
+// Click on a lyric line: jump to where it is sung
+function seekToLyric(index) {
+    const line = lyrics && lyrics.lines[index];
+    if (!line || line.time === null || blockedByParty()) return;
+    
+    audioPlayer.currentTime = line.time;
+    updateLyricsHighlight(true);
 }
 
 // Toggle play/pause
 function togglePlay() {
-    if (getCurrentPlaylist().length === 0) return;
+    if (getCurrentPlaylist().length === 0 || blockedByParty()) return;
     
     if (isPlaying) {
-        audioPlayer.pause();
+        cancelTransition();
+        if (usesMotorEffect()) {
+            // Motor slows down before the tape stops
+            const lowest = 1 - tapeEffects.motor * 0.6;
+            rampMotor(1, lowest, () => audioPlayer.pause());
+        } else {
+            audioPlayer.pause();
+        }
         isPlaying = false;
         document.getElementById('playBtn').innerHTML = '▶';
         stopDisc();
         stopFrequencyVisualization();
     } else {
+        cancelMotorRamp();
+        if (sleepFading) resetSleepFade();
         audioPlayer.play().catch(error => {
             console.error('Playback failed:', error);
             setStatus('Error playing track');
         });
+        if (usesMotorEffect()) {
+            // Motor spins up from a standstill
+            rampMotor(1 - tapeEffects.motor * 0.6, 1);
+        }
         isPlaying = true;
         document.getElementById('playBtn').innerHTML = '⏸';
         startDisc();
         startFrequencyVisualization();
     }
     
+    updateMediaPlaybackState();
+    
+    applyTapeEffects();
     saveSession();
 }
 
-// Previous track
+// Previous track: restarts the current one once it has played a few
+// seconds; with shuffle it returns to the track that actually played before
 function previousTrack() {
-    if (currentTrackIndex > 0) {
-        loadTrack(currentTrackIndex - 1);
+    if (blockedByParty()) return;
+    
+    const playlist = getCurrentPlaylist();
+    const current = playlist[currentTrackIndex];
+    
+    if (!current || audioPlayer.currentTime > RESTART_THRESHOLD) {
+        audioPlayer.currentTime = 0;
+        return;
+    }
+    
+    if (shuffle) {
+        while (playHistory.length > 0) {
+            const index = playlist.findIndex(track => track.id === playHistory[playHistory.length - 1]);
+            playHistory.pop();
+            if (index >= 0) {
+                shuffleQueue.unshift(current.id); // Comes up again next
+                loadTrack(index, 0, true);
+                if (isPlaying) audioPlayer.play();
+                return;
+            }
+        }
+    } else if (currentTrackIndex > 0) {
+        loadTrack(currentTrackIndex - 1, 0, true);
         if (isPlaying) audioPlayer.play();
+        return;
     }
+    
+    audioPlayer.currentTime = 0; // Nothing before it: restart
 }
 
-// Next track
-function nextTrack() {
-    const playlist = getCurrentPlaylist();
+// Next track (the button), or the track after the one that just ended
+function nextTrack(trackEnded = false) {
+    if (blockedByParty()) return;
+    
+    const index = getUpcomingTrackIndex(!trackEnded);
+    
+    if (index >= 0) {
+        loadTrack(index);
+        if (isPlaying) audioPlayer.play();
+        return;
+    }
     
+    // End of the side
     if (tapeMode) {
-        if (currentTrackIndex < playlist.length - 1) {
-            loadTrack(currentTrackIndex + 1);
-            if (isPlaying) audioPlayer.play();
-        } else {
-            flipTape();
-        }
-    } else {
-        if (currentTrackIndex < playlist.length - 1) {
-            loadTrack(currentTrackIndex + 1);
-            if (isPlaying) audioPlayer.play();
-        }
+        // Tape runs out: the head is at the end of this side, which is the
+        // start of the other side. Auto-reverse plays A then B and stops,
+        // unless the whole tape repeats.
+        const stopAfterFlip = currentSide === 'B' && repeatMode !== 'tape';
+        if (stopAfterFlip && isPlaying) togglePlay();
+        flipTape(true);
+        if (stopAfterFlip) setStatus('End of tape · flipped back to Side A');
+    } else if (repeatMode === 'tape') {
+        switchSide(currentSide === 'A' ? 'B' : 'A');
+    } else if (trackEnded && isPlaying) {
+        togglePlay(); // End of the side: stop
+        setStatus(`End of Side ${currentSide}`);
     }
 }
 
-// Switch side (with timestamp continuation)
+// Switch side
 function switchSide(side) {
-    if (tapeMode && isPlaying) {
-        setStatus('Stop playback to flip tape');
+    if (side === currentSide || blockedByParty()) return;
+    
+    if (tapeMode) {
+        if (isPlaying) {
+            setStatus('Stop playback to flip tape');
+            return;
+        }
+        flipTape();
         return;
     }
     
-    // Save current timestamp
-    savedTimestamp = audioPlayer.currentTime;
-    
+    // Without tape mode each side is just a playlist: start from the top
     currentSide = side;
     currentTrackIndex = 0;
+    resetPlayOrder();
     updateSideUI();
     updateTrackList();
     
     if (getCurrentPlaylist().length > 0) {
-        loadTrack(0, true); // Pass true to restore timestamp
+        loadTrack(0);
+    } else {
+        showBlankSide();
     }
     
     saveSession();
 }
 
-// Flip tape (auto switch to other side, continue from timestamp)
-function flipTape() {
-    const newSide = currentSide === 'A' ? 'B' : 'A';
+// Flip the tape. The head stays where it is on the tape, which is the
+// mirrored position on the other side; running out of tape (atEndOfSide)
+// therefore lands at the start of the other side.
+function flipTape(atEndOfSide = false) {
+    if (windDirection) stopWinding();
     
-    // Save current timestamp
-    savedTimestamp = audioPlayer.currentTime;
+    const headPosition = atEndOfSide ? getSideLength() : getHeadPosition();
+    const mirroredPosition = Math.max(getSideLength() - headPosition, 0);
+    const newSide = currentSide === 'A' ? 'B' : 'A';
     
     currentSide = newSide;
-    currentTrackIndex = 0;
+    currentTrackIndex = -1; // Nothing loaded from the new side yet
+    resetPlayOrder();
     
     updateSideUI();
-    updateTrackList();
-    
     setStatus(`Flipped to Side ${newSide}`);
     
     if (getCurrentPlaylist().length > 0) {
-        loadTrack(0, true); // Pass true to restore timestamp
-        if (isPlaying) {
-            setTimeout(() => audioPlayer.play(), 500);
+        moveHead(mirroredPosition);
+        
+        if (mirroredPosition >= getRecordedLength() && mirroredPosition > 0) {
+            setStatus(`Flipped to Side ${newSide} · blank tape, rewind to play`);
         }
+    } else {
+        showBlankSide();
     }
     
+    updateTrackList();
     saveSession();
 }
 
+// Nothing recorded on this side
+function showBlankSide() {
+    audioPlayer.removeAttribute('src');
+    resetTrackInfo();
+    updateTapeCounter();
+}
+
 // Toggle tape mode
 async function toggleTapeMode() {
     tapeMode = !tapeMode;
     updateTapeModeUI();
+    applyTapeEffects();
     
     try {
-        await fetch(`${API_URL}/api/session/tape-mode`, {
+        await apiFetch('/api/session/tape-mode', {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ enabled: tapeMode })
@@ -407,6 +2685,8 @@ async function toggleTapeMode() {
 
 // Seek to position
 function seekTo(event) {
+    if (blockedByParty()) return;
+    
     const progressBar = event.currentTarget;
     const clickX = event.offsetX;
     const width = progressBar.offsetWidth;
@@ -416,27 +2696,534 @@ function seekTo(event) {
 
 // Update track list
 function updateTrackList() {
+    if (searchQuery) {
+        renderSearchResults();
+        return;
+    }
+    
     const playlist = getCurrentPlaylist();
-    const trackListEl = document.getElementById('trackList');
+    const trackListEl = document.getElementById('trackListItems');
+    
+    const dropHint = `<div class="drop-hint admin-only">Drop audio files here to add them to Side ${currentSide}</div>`;
     
     if (playlist.length === 0) {
-        trackListEl.innerHTML = '<div class="track-item">No tracks on this side</div>';
+        updateSideTimeLeft();
+        trackListEl.innerHTML = '<div class="track-item">No tracks on this side</div>' + dropHint;
         return;
     }
     
+    updateSideTimeLeft();
+    
+    const otherSide = currentSide === 'A' ? 'B' : 'A';
     trackListEl.innerHTML = playlist.map((track, index) => `
-        <div class="track-item ${index === currentTrackIndex ? 'active' : ''}" onclick="selectTrack(${index})">
-            <span><span class="track-number">${index + 1}.</span>${track.title}</span>
+        <div class="track-item ${index === currentTrackIndex ? 'active' : ''}" draggable="${isAdmin}" data-index="${index}" onclick="selectTrack(${index})">
+            <span><span class="track-number">${index + 1}.</span>${escapeHtml(track.title)}</span>
+            <span class="track-actions admin-only">
+                <button class="track-delete track-move" onclick="moveTrackToSide(event, '${track.id}', '${otherSide}')" title="Move to Side ${otherSide}">⇄</button>
+                <button class="track-delete" onclick="deleteTrack(event, '${track.id}')" title="Delete track">✕</button>
+            </span>
+        </div>
+    `).join('') + dropHint;
+}
+
+// Search box typed in: filter the list once typing pauses
+function searchTracks(value) {
+    clearTimeout(searchTimer);
+    searchQuery = value.trim();
+    
+    if (!searchQuery) {
+        searchResults = [];
+        updateTrackList();
+        return;
+    }
+    searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+}
+
+async function runSearch() {
+    const query = searchQuery;
+    
+    try {
+        const params = new URLSearchParams({ q: query, tapeId: currentTapeId });
+        const response = await apiFetch(`/api/search?${params}`);
+        const result = await response.json();
+        if (query !== searchQuery) return; // Typed on meanwhile
+        
+        searchResults = response.ok ? result.results : [];
+        renderSearchResults();
+    } catch (error) {
+        console.error('Error searching tracks:', error);
+        setStatus('Search failed');
+    }
+}
+
+function renderSearchResults() {
+    const trackListEl = document.getElementById('trackListItems');
+    const currentTrack = getCurrentPlaylist()[currentTrackIndex];
+    
+    if (searchResults.length === 0) {
+        trackListEl.innerHTML = '<div class="track-item">No matching tracks</div>';
+        return;
+    }
+    
+    trackListEl.innerHTML = searchResults.map((result, index) => `
+        <div class="track-item ${currentTrack && result.track.id === currentTrack.id ? 'active' : ''}" onclick="playSearchResult(${index})">
+            <span><span class="track-number">${result.side}</span>${escapeHtml(result.track.title)} <span class="search-artist">${escapeHtml(result.track.artist)}</span></span>
         </div>
     `).join('');
 }
 
+// Load a search result, flipping to its side even in tape mode
+function playSearchResult(index) {
+    const result = searchResults[index];
+    
+    if (isPartyFollower()) {
+        requestPartyTrack(result.track);
+        return;
+    }
+    
+    clearSearch();
+    if (jumpToTrack(result.side, result.track.id)) {
+        setStatus(`Side ${currentSide} · ${result.track.title}`);
+    } else {
+        updateTrackList();
+        setStatus('Track is no longer on this tape');
+    }
+}
+
+// Load a track from either side of the loaded tape; false if it is not there
+function jumpToTrack(side, trackId) {
+    const playlist = side === 'A' ? playlists.sideA : playlists.sideB;
+    const trackIndex = playlist.findIndex(track => track.id === trackId);
+    
+    if (trackIndex < 0) return false;
+    
+    if (windDirection) stopWinding();
+    if (side !== currentSide) {
+        currentSide = side;
+        currentTrackIndex = -1;
+        resetPlayOrder();
+        updateSideUI();
+    }
+    
+    loadTrack(trackIndex);
+    if (isPlaying) audioPlayer.play();
+    return true;
+}
+
+function clearSearch() {
+    clearTimeout(searchTimer);
+    searchQuery = '';
+    searchResults = [];
+    document.getElementById('trackSearch').value = '';
+}
+
+// Accept audio files dropped on the track list
+function setupTrackDropZone() {
+    const trackListEl = document.getElementById('trackList');
+    
+    trackListEl.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        if (isAdmin) trackListEl.classList.add('drag-over');
+    });
+    
+    trackListEl.addEventListener('dragleave', (e) => {
+        if (!trackListEl.contains(e.relatedTarget)) {
+            trackListEl.classList.remove('drag-over');
+        }
+    });
+    
+    trackListEl.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        trackListEl.classList.remove('drag-over');
+        if (!isAdmin) {
+            setStatus('Log in as admin to add tracks');
+            return;
+        }
+        uploadTracks(Array.from(e.dataTransfer.files));
+    });
+}
+
+// Drag tracks within the list to change the running order of the side
+function setupTrackReorder() {
+    const listEl = document.getElementById('trackListItems');
+    let dragIndex = null;
+    
+    const clearMarkers = () => {
+        listEl.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+            el.classList.remove('drop-before', 'drop-after');
+        });
+    };
+    
+    // Index the dragged track would land on when dropped at this pointer position
+    const getDropIndex = (e, item) => {
+        const rect = item.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        return Number(item.dataset.index) + (after ? 1 : 0);
+    };
+    
+    listEl.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.track-item[data-index]');
+        if (!item) return;
+        dragIndex = Number(item.dataset.index);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', getCurrentPlaylist()[dragIndex].id);
+        item.classList.add('dragging');
+    });
+    
+    listEl.addEventListener('dragover', (e) => {
+        const item = e.target.closest('.track-item[data-index]');
+        if (dragIndex === null || !item) return;
+        e.preventDefault();
+        
+        clearMarkers();
+        const after = getDropIndex(e, item) > Number(item.dataset.index);
+        item.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+    
+    listEl.addEventListener('drop', (e) => {
+        const item = e.target.closest('.track-item[data-index]');
+        if (dragIndex === null || !item) return;
+        e.preventDefault();
+        
+        let target = getDropIndex(e, item);
+        if (target > dragIndex) target--; // The dragged track leaves its old slot
+        if (target !== dragIndex) reorderTrack(dragIndex, target);
+    });
+    
+    listEl.addEventListener('dragend', () => {
+        dragIndex = null;
+        clearMarkers();
+        listEl.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+    });
+}
+
+// Move a track within the current side and save the new order
+async function reorderTrack(fromIndex, toIndex) {
+    const tapeId = currentTapeId;
+    const side = currentSide;
+    
+    mergeLibraryChange(tapeId, side, playlist => {
+        const [track] = playlist.splice(fromIndex, 1);
+        playlist.splice(toIndex, 0, track);
+    });
+    
+    try {
+        const response = await apiFetch(`/api/tapes/${encodeURIComponent(tapeId)}/playlists/${side}/order`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ trackIds: getCurrentPlaylist().map(track => track.id) })
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            setStatus(getErrorMessage(data, 'Error saving track order'));
+            loadPlaylists(); // Back to the order the server has
+        }
+    } catch (error) {
+        console.error('Error reordering tracks:', error);
+        setStatus('Error saving track order');
+        loadPlaylists();
+    }
+}
+
+// Move a track to the end of the other side
+async function moveTrackToSide(event, trackId, side) {
+    event.stopPropagation();
+    
+    const fromSide = currentSide;
+    const track = getCurrentPlaylist().find(t => t.id === trackId);
+    if (!track) return;
+    
+    try {
+        const response = await apiFetch(`/api/tracks/${encodeURIComponent(trackId)}/move`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ side })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(getErrorMessage(data, 'Error moving track'));
+            return;
+        }
+        
+        mergeLibraryChange(data.tapeId, fromSide, playlist => {
+            const index = playlist.findIndex(t => t.id === trackId);
+            if (index >= 0) playlist.splice(index, 1);
+        });
+        mergeLibraryChange(data.tapeId, side, playlist => {
+            if (playlist.some(t => t.id === data.track.id)) return;
+            playlist.splice(Math.min(data.track.trackNumber - 1, playlist.length), 0, data.track);
+        });
+        setStatus(`Moved ${track.title} to Side ${side}`);
+        loadTapes();
+    } catch (error) {
+        console.error('Error moving track:', error);
+        setStatus('Error moving track');
+    }
+}
+
+// Download the current side as a playlist file
+function exportSide() {
+    const format = document.getElementById('exportFormat').value;
+    window.location.href = `${API_URL}/api/tapes/${encodeURIComponent(currentTapeId)}/playlists/${currentSide}/export?format=${format}`;
+}
+
+// Build the current side from an M3U8, PLS or XSPF file
+async function importPlaylist(file) {
+    if (!file) return;
+    
+    const side = currentSide;
+    const tapeId = currentTapeId;
+    const extension = file.name.split('.').pop().toLowerCase();
+    const format = extension === 'm3u' ? 'm3u8' : extension;
+    const query = ['m3u8', 'pls', 'xspf'].includes(format) ? `?format=${format}` : '';
+    
+    setStatus(`Importing ${file.name}...`);
+    
+    try {
+        const response = await apiFetch(`/api/tapes/${encodeURIComponent(tapeId)}/playlists/${side}/import${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: await file.text()
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(getErrorMessage(data, 'Error importing playlist'));
+            return;
+        }
+        
+        mergeLibraryChange(tapeId, side, playlist => {
+            playlist.splice(0, playlist.length, ...data.tracks);
+        });
+        
+        if (data.unresolved.length > 0) {
+            const names = data.unresolved.slice(0, 3).map(entry => entry.title || entry.location).join(', ');
+            const more = data.unresolved.length > 3 ? ', ...' : '';
+            setStatus(`${data.message} · skipped: ${names}${more}`);
+        } else {
+            setStatus(data.message);
+        }
+        loadTapes();
+    } catch (error) {
+        console.error('Error importing playlist:', error);
+        setStatus('Error importing playlist');
+    }
+}
+
+// Upload files to the current side, one at a time
+async function uploadTracks(files) {
+    const side = currentSide;
+    const tapeId = currentTapeId;
+    let added = 0;
+    
+    for (const file of files) {
+        // Skip what the server would reject anyway before sending it
+        const ext = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+        if (clientConfig.audioExtensions.length && !clientConfig.audioExtensions.includes(ext)) {
+            setStatus(`${file.name}: use ${clientConfig.audioExtensions.join(', ')}`);
+            continue;
+        }
+        if (clientConfig.maxUploadSizeMB && file.size > clientConfig.maxUploadSizeMB * 1024 * 1024) {
+            setStatus(`${file.name}: files must be ${clientConfig.maxUploadSizeMB} MB or smaller`);
+            continue;
+        }
+        
+        setStatus(`Uploading ${file.name}...`);
+        
+        const formData = new FormData();
+        formData.append('tracks', file);
+        
+        try {
+            const response = await apiFetch(`/api/tapes/${encodeURIComponent(tapeId)}/playlists/${side}/tracks`, {
+                method: 'POST',
+                body: formData
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                const reason = data.rejected && data.rejected.length ? data.rejected[0].error : getErrorMessage(data, 'Upload failed');
+                setStatus(`${file.name}: ${reason}`);
+                continue;
+            }
+            
+            data.tracks.forEach(track => {
+                mergeLibraryChange(tapeId, side, playlist => {
+                    if (playlist.some(t => t.id === track.id)) return;
+                    playlist.splice(Math.min(track.trackNumber - 1, playlist.length), 0, track);
+                });
+            });
+            added += data.tracks.length;
+        } catch (error) {
+            console.error('Error uploading track:', error);
+            setStatus(`Error uploading ${file.name}`);
+        }
+    }
+    
+    if (added > 0) {
+        setStatus(`Added ${added} track${added === 1 ? '' : 's'} to Side ${side}`);
+        loadTapes();
+    }
+}
+
+// Delete a track from the library
+async function deleteTrack(event, trackId) {
+    event.stopPropagation();
+    
+    const track = getCurrentPlaylist().find(t => t.id === trackId);
+    if (!track || !confirm(`Delete "${track.title}" from the server?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/tracks/${encodeURIComponent(trackId)}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(getErrorMessage(data, 'Error deleting track'));
+            return;
+        }
+        
+        mergeLibraryChange(data.tapeId, data.side, playlist => {
+            const index = playlist.findIndex(t => t.id === trackId);
+            if (index >= 0) playlist.splice(index, 1);
+        });
+        setStatus(`Deleted ${track.title}`);
+        loadTapes();
+    } catch (error) {
+        console.error('Error deleting track:', error);
+        setStatus('Error deleting track');
+    }
+}
+
+// Show how much tape is left on this side from the current head position
+function updateSideTimeLeft() {
+    const readout = document.getElementById('sideTimeLeft');
+    const capacity = playlists.capacity && playlists.capacity[currentSide];
+    
+    if (!capacity) {
+        readout.textContent = '';
+        return;
+    }
+    
+    const usedSeconds = getRecordedLength();
+    const timeLeft = Math.max(capacity.sideSeconds - getHeadPosition(), 0);
+    let text = `${playlists.length} · ${formatTime(timeLeft)} left on Side ${currentSide}`;
+    
+    if (usedSeconds > capacity.sideSeconds) {
+        text += ` · ${formatTime(usedSeconds - capacity.sideSeconds)} over!`;
+    }
+    
+    readout.textContent = text;
+    readout.classList.toggle('overflow', usedSeconds > capacity.sideSeconds);
+}
+
 // Select track
 function selectTrack(index) {
+    if (isPartyFollower()) {
+        requestPartyTrack(getCurrentPlaylist()[index]);
+        return;
+    }
+    
     loadTrack(index);
     if (isPlaying) audioPlayer.play();
 }
 
+// Update tape shelf
+function updateTapeShelf() {
+    const shelfEl = document.getElementById('tapeShelfList');
+    
+    shelfEl.innerHTML = tapes.map(tape => {
+        const saved = offlineTapes.includes(tape.id);
+        const icon = savingOfflineTapeId === tape.id ? '…' : saved ? '✓' : '⤓';
+        return `
+            <div class="tape-item ${tape.id === currentTapeId ? 'active' : ''}" data-tape-id="${escapeHtml(tape.id)}">
+                <span class="tape-label">${escapeHtml(tape.label)}</span>
+                <span class="track-actions">
+                    <span class="tape-count">${tape.length} · A ${tape.sideA} · B ${tape.sideB}</span>
+                    <button class="tape-offline-btn ${saved ? 'saved' : ''}" title="${saved ? 'Saved for offline (click to remove)' : 'Save tape for offline'}">${icon}</button>
+                </span>
+            </div>
+        `;
+    }).join('');
+    
+    // Tape IDs are folder names, so they are read back from the data attribute
+    // instead of being written into inline handlers
+    shelfEl.querySelectorAll('.tape-item').forEach(itemEl => {
+        const tapeId = itemEl.dataset.tapeId;
+        itemEl.addEventListener('click', () => loadTape(tapeId));
+        itemEl.querySelector('.tape-offline-btn').addEventListener('click', (event) => toggleOfflineTape(event, tapeId));
+    });
+}
+
+// Put a different cassette in the player
+async function loadTape(tapeId) {
+    if (tapeId === currentTapeId || blockedByParty()) return;
+    
+    // Eject: stop whatever is playing on the old tape
+    if (isPlaying) togglePlay();
+    audioPlayer.removeAttribute('src');
+    
+    currentTapeId = tapeId;
+    currentSide = 'A';
+    currentTrackIndex = 0;
+    savedTimestamp = 0;
+    clearSearch(); // Results belong to the old tape
+    
+    updateSideUI();
+    updateTapeShelf();
+    await loadPlaylists();
+    saveSession();
+    
+    const tape = tapes.find(t => t.id === tapeId);
+    if (tape) setStatus(`Loaded tape: ${tape.label}`);
+}
+
+// Create a blank tape and load it
+async function createTape() {
+    const label = prompt('Label for the new tape:');
+    if (!label || !label.trim()) return;
+    
+    try {
+        const response = await apiFetch('/api/tapes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ label: label.trim() })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            setStatus(getErrorMessage(data, 'Error creating tape'));
+            return;
+        }
+        
+        await loadTapes();
+        loadTape(data.tape.id);
+    } catch (error) {
+        console.error('Error creating tape:', error);
+        setStatus('Error creating tape');
+    }
+}
+
+// Clear track info when the side is empty
+function resetTrackInfo() {
+    document.getElementById('trackTitle').textContent = 'No Track Playing';
+    document.getElementById('trackArtist').textContent = 'Select a track to begin';
+    document.getElementById('albumCover').innerHTML = '🎵';
+    applyCoverTheme(null);
+    updateMediaMetadata(null);
+    clearLyrics();
+}
+
+// Escape text before putting it into innerHTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    // Quotes too, so the result is also safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Update side UI
 function updateSideUI() {
     document.getElementById('sideABtn').classList.toggle('active', currentSide === 'A');
@@ -460,34 +3247,75 @@ function stopDisc() {
     document.getElementById('albumDisc').classList.remove('spinning');
 }
 
-// Audio event listeners
+// Audio event listeners on both players; only the active one drives the UI
 function setupAudioListeners() {
-    audioPlayer.addEventListener('timeupdate', () => {
-        const progress = (audioPlayer.currentTime / audioPlayer.duration) * 100;
-        document.getElementById('progressFill').style.width = progress + '%';
-        document.getElementById('currentTime').textContent = formatTime(audioPlayer.currentTime);
-        document.getElementById('totalTime').textContent = formatTime(audioPlayer.duration);
-    });
-
-    audioPlayer.addEventListener('ended', () => {
-        nextTrack();
+    players.forEach(player => {
+        player.addEventListener('timeupdate', onPlayerTimeUpdate);
+        player.addEventListener('ended', onPlayerEnded);
+        player.addEventListener('error', onPlayerError);
+        player.addEventListener('canplay', onPlayerCanPlay);
+        player.addEventListener('seeking', onPlayerSeeking);
     });
+}
 
-    audioPlayer.addEventListener('error', (e) => {
-        console.error('Audio error:', e);
-        setStatus('Error playing track');
-        isPlaying = false;
-        document.getElementById('playBtn').innerHTML = '▶';
-        stopDisc();
-        stopFrequencyVisualization();
-    });
+function onPlayerTimeUpdate(event) {
+    if (event.target !== audioPlayer) return;
     
-    // Handle when audio can play
-    audioPlayer.addEventListener('canplay', () => {
-        if (isPlaying) {
-            audioPlayer.play();
+    const progress = (audioPlayer.currentTime / audioPlayer.duration) * 100;
+    document.getElementById('progressFill').style.width = progress + '%';
+    document.getElementById('currentTime').textContent = formatTime(audioPlayer.currentTime);
+    document.getElementById('totalTime').textContent = formatTime(audioPlayer.duration);
+    updateTapeCounter();
+    updateSideTimeLeft();
+    updateLyricsHighlight();
+    updateMediaPlaybackState();
+    trackListening();
+    scheduleTransition();
+    correctPartyDrift();
+}
+
+function onPlayerEnded(event) {
+    if (event.target === outgoingPlayer) {
+        finishTransition();
+    } else if (event.target === audioPlayer) {
+        endPlay('complete');
+        if (isSleepTrack()) {
+            fireSleepTimer();
+        } else {
+            nextTrack(true);
         }
-    });
+    }
+}
+
+function onPlayerError(event) {
+    if (event.target !== audioPlayer) {
+        // Preload failed: the track gets another try when it is loaded for real
+        if (event.target !== outgoingPlayer) preloadedTrackId = null;
+        return;
+    }
+    
+    console.error('Audio error:', event);
+    setStatus('Error playing track');
+    isPlaying = false;
+    document.getElementById('playBtn').innerHTML = '▶';
+    stopDisc();
+    stopFrequencyVisualization();
+    updateMediaPlaybackState();
+}
+
+// Handle when audio can play
+function onPlayerCanPlay(event) {
+    if (event.target === audioPlayer && isPlaying && !isWindingSilently()) {
+        audioPlayer.play();
+    }
+}
+
+// A jump in the track invalidates the timed hand-over
+function onPlayerSeeking(event) {
+    if (event.target !== audioPlayer) return;
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+    schedulePartyUpdate();
 }
 
 // Format time
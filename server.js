@@ -3,275 +3,3389 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const mm = require('music-metadata');
+const multer = require('multer');
+const sharp = require('sharp');
+const { File: TagFile, Picture, PictureType, ByteVector } = require('node-taglib-sharp');
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+
+// === CONFIGURATION ===
+// Settings come from config.json next to this file (or the file named by
+// CONFIG_FILE); environment variables override single settings. Relative
+// folders are resolved from the config file's folder. See config.example.json.
+
+const DEFAULT_CONFIG = {
+  port: 5000,
+  libraryRoots: ['musics'],
+  coversFolder: 'covers',
+  allowedOrigins: [],
+  audioExtensions: ['.mp3', '.wav', '.ogg', '.m4a', '.flac'],
+  apiBase: '',
+  adminToken: '',
+  adminPassword: '',
+  authSecret: ''
+};
+
+// Split a list-valued environment variable (undefined when it is not set)
+function readListEnv(name, separator = ',') {
+  if (process.env[name] === undefined) return undefined;
+  return process.env[name].split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+// Merge defaults, the config file and the environment, then normalize paths
+// and extensions. A broken config stops the server instead of half-starting it.
+function loadConfig() {
+  const configFile = path.resolve(process.env.CONFIG_FILE || path.join(__dirname, 'config.json'));
+  let fileConfig = {};
+  if (fs.existsSync(configFile)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${configFile}: ${error.message}`);
+    }
+  } else if (process.env.CONFIG_FILE) {
+    throw new Error(`Config file ${configFile} does not exist`);
+  }
+
+  const envConfig = {
+    port: process.env.PORT,
+    libraryRoots: readListEnv('LIBRARY_ROOTS', path.delimiter),
+    coversFolder: process.env.COVERS_FOLDER,
+    allowedOrigins: readListEnv('ALLOWED_ORIGINS'),
+    audioExtensions: readListEnv('AUDIO_EXTENSIONS'),
+    apiBase: process.env.API_BASE,
+    adminToken: process.env.ADMIN_TOKEN,
+    adminPassword: process.env.ADMIN_PASSWORD,
+    authSecret: process.env.AUTH_SECRET
+  };
+  const merged = { ...DEFAULT_CONFIG, ...fileConfig };
+  Object.entries(envConfig).forEach(([key, value]) => {
+    if (value !== undefined) merged[key] = value;
+  });
+
+  const port = Number(merged.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`port must be a number from 0 to 65535, got "${merged.port}"`);
+  }
+  ['libraryRoots', 'allowedOrigins', 'audioExtensions'].forEach(key => {
+    if (!Array.isArray(merged[key]) || !merged[key].every(item => typeof item === 'string')) {
+      throw new Error(`${key} must be a list of strings`);
+    }
+  });
+  if (merged.libraryRoots.length === 0) throw new Error('libraryRoots needs at least one folder');
+  if (merged.audioExtensions.length === 0) throw new Error('audioExtensions needs at least one extension');
+  if (typeof merged.coversFolder !== 'string' || !merged.coversFolder) {
+    throw new Error('coversFolder must be a folder path');
+  }
+  if (typeof merged.apiBase !== 'string') throw new Error('apiBase must be a URL or empty');
+  ['adminToken', 'adminPassword', 'authSecret'].forEach(key => {
+    if (typeof merged[key] !== 'string') throw new Error(`${key} must be a string (empty to leave it unset)`);
+  });
+
+  const baseFolder = path.dirname(configFile);
+  return {
+    port,
+    libraryRoots: [...new Set(merged.libraryRoots.map(folder => path.resolve(baseFolder, folder)))],
+    coversFolder: path.resolve(baseFolder, merged.coversFolder),
+    allowedOrigins: merged.allowedOrigins.map(origin => origin.replace(/\/+$/, '')),
+    audioExtensions: merged.audioExtensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase()),
+    apiBase: merged.apiBase.replace(/\/+$/, ''),
+    adminToken: merged.adminToken,
+    adminPassword: merged.adminPassword,
+    authSecret: merged.authSecret
+  };
+}
+
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`Invalid configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Whether a browser origin points at this server (WebSocket upgrades are not
+// covered by CORS, so same-origin pages are recognised by their Host header)
+function isSameHost(origin, req) {
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Browsers on other origins may only call the API when their origin is listed
+// in allowedOrigins ("*" allows any). Same-origin pages never need listing.
+function isAllowedOrigin(origin) {
+  return config.allowedOrigins.includes('*') || config.allowedOrigins.includes(origin);
+}
 
 const app = express();
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Middleware
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  credentials: true
+}));
+app.use(express.json());
+
+// Create music folders if they don't exist
+// The first library root holds the default tape and every tape created from
+// the player; each tape lives in its own sub-folder with the same
+// "side a" / "side b" layout. Extra roots add their tape sub-folders.
+const libraryRoots = config.libraryRoots;
+const musicFolder = libraryRoots[0];
+const sideAFolder = path.join(musicFolder, 'side a');
+const sideBFolder = path.join(musicFolder, 'side b');
+const coversFolder = config.coversFolder;
+const dataFolder = path.join(__dirname, 'data');
+const sessionsFile = path.join(dataFolder, 'sessions.json');
+const libraryIndexFile = path.join(dataFolder, 'library.json');
+const historyFile = path.join(dataFolder, 'history.json');
+const uploadsFolder = path.join(dataFolder, 'uploads');
+
+const DEFAULT_TAPE_ID = 'default';
+const TAPE_INFO_FILE = 'tape.json';
+
+// Cassette lengths and how many seconds fit on each side
+const TAPE_LENGTHS = {
+  C46: 23 * 60,
+  C60: 30 * 60,
+  C90: 45 * 60,
+  C120: 60 * 60
+};
+const DEFAULT_TAPE_LENGTH = 'C60';
+
+// Only the lengths listed above count, not names inherited from Object
+function isTapeLength(length) {
+  return typeof length === 'string' && Object.hasOwn(TAPE_LENGTHS, length);
+}
+
+if (!fs.existsSync(musicFolder)) {
+  fs.mkdirSync(musicFolder, { recursive: true });
+}
+if (!fs.existsSync(sideAFolder)) {
+  fs.mkdirSync(sideAFolder);
+}
+if (!fs.existsSync(sideBFolder)) {
+  fs.mkdirSync(sideBFolder);
+}
+if (!fs.existsSync(coversFolder)) {
+  fs.mkdirSync(coversFolder, { recursive: true });
+}
+if (!fs.existsSync(dataFolder)) {
+  fs.mkdirSync(dataFolder);
+}
+if (!fs.existsSync(uploadsFolder)) {
+  fs.mkdirSync(uploadsFolder);
+}
+
+// Serve the player itself. Only these files are public: the rest of this
+// folder is the server, its config and its data.
+const FRONTEND_FILES = ['index.html', 'styles.css', 'script.js', 'sw.js', 'manifest.webmanifest', 'icon.svg'];
+
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+FRONTEND_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+});
+
+// Serve music files and covers. Extra library roots are served under
+// /musics/~<n>, so they have to be mounted before the first root.
+libraryRoots.slice(1).forEach((root, index) => {
+  app.use(`/musics/~${index + 1}`, express.static(root));
+});
+app.use('/musics', express.static(musicFolder));
+app.use('/covers', express.static(coversFolder));
+
+// === DATA FILES ===
+// Server state that must survive restarts is kept as JSON in the data folder.
+
+const JSON_WRITE_DELAY = 500;
+const pendingJsonWrites = new Map();
+let jsonWriteCounter = 0;
+
+// Read a JSON data file, or return the fallback if it is missing or broken
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading ${path.basename(filePath)}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+// Save a JSON data file in the background, batching bursts of updates into one write
+function scheduleJsonWrite(filePath, getData) {
+  if (pendingJsonWrites.has(filePath)) return;
+  
+  const timer = setTimeout(() => {
+    pendingJsonWrites.delete(filePath);
+    const tempFile = `${filePath}.${++jsonWriteCounter}.tmp`;
+    
+    fs.promises.writeFile(tempFile, JSON.stringify(getData(), null, 2))
+      .then(() => fs.promises.rename(tempFile, filePath))
+      .catch(error => console.error(`Error saving ${path.basename(filePath)}:`, error.message));
+  }, JSON_WRITE_DELAY);
+  
+  pendingJsonWrites.set(filePath, { timer, getData });
+}
+
+// Flush pending data file writes before the server exits
+function flushJsonWritesAndExit() {
+  pendingJsonWrites.forEach(({ timer, getData }, filePath) => {
+    clearTimeout(timer);
+    fs.writeFileSync(filePath, JSON.stringify(getData(), null, 2));
+  });
+  process.exit(0);
+}
+
+process.on('SIGINT', flushJsonWritesAndExit);
+process.on('SIGTERM', flushJsonWritesAndExit);
+
+// === LISTENER SESSIONS ===
+// Every listener gets their own session, keyed by an ID sent in the
+// X-Session-Id header or the tape_session cookie, and saved to data/sessions.json.
+
+const SESSION_COOKIE = 'tape_session';
+const SESSION_HEADER = 'x-session-id';
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // Forget listeners after 30 days
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// Tape character effects and their default intensities (0-1)
+const DEFAULT_TAPE_EFFECTS = {
+  wowFlutter: 0.3,
+  hiss: 0.2,
+  rolloff: 0.4,
+  saturation: 0.3,
+  motor: 0.5
+};
+
+// Graphic equalizer: one gain (dB) per band, 31 Hz to 16 kHz
+const EQ_BAND_COUNT = 10;
+const EQ_MAX_GAIN = 12;
+const MAX_EQ_PRESETS = 20;
+
+// Crossfade between tracks (seconds) when tape mode is off
+const MAX_CROSSFADE = 12;
+
+// Repeat modes: off, the current side, the whole tape, or one track
+const REPEAT_MODES = ['off', 'side', 'tape', 'one'];
+
+// Sleep timer: after some minutes (endsAt is a timestamp), at the end of the
+// track or at the end of the side
+const SLEEP_MODES = ['minutes', 'track', 'side'];
+
+// Keyboard shortcuts the listener changed (action -> key name)
+const MAX_KEY_BINDINGS = 30;
+const MAX_KEY_NAME_LENGTH = 30;
+
+function createDefaultSession() {
+  return {
+    currentTapeId: DEFAULT_TAPE_ID,
+    currentSide: 'A',
+    currentTrackId: null,
+    currentTime: 0,
+    volume: 75,
+    tapeMode: true,
+    cueReview: false,
+    tapeEffects: { ...DEFAULT_TAPE_EFFECTS },
+    eq: { preset: 'Flat', gains: new Array(EQ_BAND_COUNT).fill(0) },
+    eqPresets: {},
+    crossfade: 0,
+    repeat: 'off',
+    shuffle: false,
+    keyBindings: {},
+    sleepTimer: null,
+    isPlaying: false
+  };
+}
+
+// Clean up an EQ curve sent by a client, or return null if it is unusable
+function normalizeEqGains(gains) {
+  if (!Array.isArray(gains) || gains.length !== EQ_BAND_COUNT) return null;
+  if (!gains.every(gain => typeof gain === 'number' && Number.isFinite(gain))) return null;
+  return gains.map(gain => Math.min(Math.max(gain, -EQ_MAX_GAIN), EQ_MAX_GAIN));
+}
+
+// Merge effect intensities into a session's settings, ignoring unknown
+// effects and clamping values to 0-1
+function mergeTapeEffects(current, changes) {
+  const merged = { ...DEFAULT_TAPE_EFFECTS, ...current };
+  Object.keys(DEFAULT_TAPE_EFFECTS).forEach(name => {
+    const value = Number(changes[name]);
+    if (changes[name] !== undefined && !Number.isNaN(value)) {
+      merged[name] = Math.min(Math.max(value, 0), 1);
+    }
+  });
+  return merged;
+}
+
+// Drop sessions nobody has used within the TTL
+function pruneSessions(allSessions) {
+  const now = Date.now();
+  Object.keys(allSessions).forEach(sessionId => {
+    if (now - allSessions[sessionId].lastSeen > SESSION_TTL) {
+      delete allSessions[sessionId];
+    }
+  });
+  return allSessions;
+}
+
+let sessions = pruneSessions(readJsonFile(sessionsFile, {}));
+
+function saveSessions() {
+  scheduleJsonWrite(sessionsFile, () => sessions);
+}
+
+// Read a cookie value from the raw Cookie header
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Attach the caller's session as req.session. New listeners get a fresh
+// session that is only stored once a route calls storeSession().
+function attachSession(req, res, next) {
+  let sessionId = req.get(SESSION_HEADER) || readCookie(req, SESSION_COOKIE);
+  
+  if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+    sessionId = crypto.randomUUID();
+  }
+  
+  req.sessionId = sessionId;
+  req.session = sessions[sessionId] || createDefaultSession();
+  req.session.lastSeen = Date.now();
+  
+  res.cookie(SESSION_COOKIE, sessionId, {
+    maxAge: SESSION_TTL,
+    httpOnly: true,
+    sameSite: 'lax'
+  });
+  next();
+}
+
+// Keep the caller's session and schedule a save
+function storeSession(req) {
+  sessions[req.sessionId] = req.session;
+  saveSessions();
+}
+
+// Public shape of a session
+function describeSession(req) {
+  const { lastSeen, ...session } = req.session;
+  return { sessionId: req.sessionId, ...session };
+}
+
+app.use('/api', attachSession);
+
+// Expire stale sessions once an hour
+setInterval(() => {
+  pruneSessions(sessions);
+  saveSessions();
+}, 60 * 60 * 1000).unref();
+
+const audioExtensions = config.audioExtensions;
+
+// === REQUEST VALIDATION ===
+// Every API error is answered in one shape: { error: { code, message, field } }.
+// field names the body field or route parameter that was refused (or is
+// null). Route schemas map each allowed field to a rule:
+//   type       'string', 'number', 'integer', 'boolean', 'object' or 'array'
+//   required   the field must be sent
+//   nullable   null is allowed as well
+//   values     the value must be one of these
+//   min, max   number range; minLength, maxLength for strings and arrays
+//   pattern    regular expression a string must match
+//   fields     schema for an object's own fields (others are refused)
+//   check      function returning an error message, or null if the value is fine
+// Fields a schema does not list are refused, so typos do not pass silently.
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  404: 'not_found',
+  413: 'too_large',
+  415: 'unsupported_type',
+  429: 'rate_limited',
+  500: 'server_error'
+};
+
+// Send an error in the shared shape. Extra options are added next to the
+// error object (e.g. the per-file results of an upload).
+function sendError(res, status, message, { code, field = null, ...extra } = {}) {
+  res.status(status).json({
+    error: { code: code || ERROR_CODES[status] || 'error', message, field },
+    ...extra
+  });
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Check one value against its rule. Returns { code, message, field } or null.
+function checkValue(rule, value, field) {
+  if (value === null) {
+    return rule.nullable ? null : { code: 'invalid_type', message: `${field} cannot be null`, field };
+  }
+
+  const typeOk = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === 'boolean',
+    object: describeType(value) === 'object',
+    array: Array.isArray(value)
+  }[rule.type];
+  if (!typeOk) {
+    const article = /^[aeiou]/.test(rule.type) ? 'an' : 'a';
+    return { code: 'invalid_type', message: `${field} must be ${article} ${rule.type}, got ${describeType(value)}`, field };
+  }
+
+  const invalid = message => ({ code: 'invalid_value', message: `${field} ${message}`, field });
+  if (rule.values && !rule.values.includes(value)) return invalid(`must be one of ${rule.values.join(', ')}`);
+  if (rule.min !== undefined && value < rule.min) return invalid(`must be ${rule.min} or more`);
+  if (rule.max !== undefined && value > rule.max) return invalid(`must be ${rule.max} or less`);
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return invalid(rule.minLength === 1 ? 'cannot be empty' : `needs at least ${rule.minLength} entries`);
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return invalid(`must be ${rule.maxLength} ${rule.type === 'string' ? 'characters' : 'entries'} or fewer`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) return invalid('has an invalid format');
+  if (rule.fields) {
+    const error = checkFields(rule.fields, value, `${field}.`);
+    if (error) return error;
+  }
+  if (rule.check) {
+    const message = rule.check(value);
+    if (message) return invalid(message);
+  }
+  return null;
+}
+
+// Check an object against a schema (prefix is prepended to nested field names)
+function checkFields(schema, data, prefix = '') {
+  const allowed = Object.keys(schema);
+  const unknown = Object.keys(data).find(key => !allowed.includes(key));
+  if (unknown !== undefined) {
+    const hint = allowed.length ? `. Use ${allowed.join(', ')}` : '';
+    return { code: 'unknown_field', message: `Unknown field ${prefix}${unknown}${hint}`, field: `${prefix}${unknown}` };
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = `${prefix}${key}`;
+    if (data[key] === undefined) {
+      if (rule.required) return { code: 'required', message: `${field} is required`, field };
+      continue;
+    }
+    const error = checkValue(rule, data[key], field);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Route middleware: check params and body against their schemas and answer
+// 400 before the route runs. A missing body counts as an empty one.
+function validate({ params, body } = {}) {
+  return (req, res, next) => {
+    if (req.body === undefined) req.body = {};
+    if (body && describeType(req.body) !== 'object') {
+      return sendError(res, 400, 'Request body must be a JSON object', { code: 'invalid_body' });
+    }
+
+    const error = (params && checkFields(params, req.params)) ||
+      (body && checkFields(body, req.body));
+    if (error) {
+      const { code, message, field } = error;
+      return sendError(res, 400, message, { code, field });
+    }
+    next();
+  };
+}
+
+// === ACCESS CONTROL ===
+// Listeners can browse, stream and keep their own session without logging in.
+// Changing the library (tapes, tracks, tags, running order, rescans) needs an
+// admin: send "Authorization: Bearer <adminToken>", or log in with the admin
+// password (or the token) at POST /api/auth/login, which sets a signed cookie.
+// With neither configured, a random token is made up and printed at start.
+
+const ADMIN_COOKIE = 'tape_admin';
+const ADMIN_TTL = 7 * 24 * 60 * 60 * 1000;
+const authFile = path.join(dataFolder, 'auth.json');
+const adminToken = config.adminToken ||
+  (config.adminPassword ? null : crypto.randomBytes(18).toString('base64url'));
+
+// Key for signing admin cookies, kept in data/auth.json so logins survive restarts
+function loadAuthSecret() {
+  if (config.authSecret) return config.authSecret;
+  const stored = readJsonFile(authFile, {});
+  if (stored.secret) return stored.secret;
+  
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(authFile, JSON.stringify({ secret }, null, 2), { mode: 0o600 });
+  return secret;
+}
+
+const authSecret = loadAuthSecret();
+
+// Compare two secrets without giving away how much of them matched
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// Admin cookie value: "admin.<expiry>.<HMAC of the first two parts>"
+function signAdminCookie(expiresAt) {
+  const payload = `admin.${expiresAt}`;
+  const signature = crypto.createHmac('sha256', authSecret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+function isValidAdminCookie(value) {
+  const match = /^admin\.(\d+)\.[\w-]+$/.exec(value || '');
+  return Boolean(match) && Number(match[1]) > Date.now() && safeEqual(value, signAdminCookie(match[1]));
+}
+
+// Whether the password (or token) typed into the login form is right
+function isAdminPassword(password) {
+  return Boolean(config.adminPassword && safeEqual(password, config.adminPassword)) ||
+    Boolean(adminToken && safeEqual(password, adminToken));
+}
+
+// Mark requests that carry the admin token or a valid admin cookie as req.isAdmin
+function attachAdmin(req, res, next) {
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+  req.isAdmin = Boolean(token && adminToken && safeEqual(token, adminToken)) ||
+    isValidAdminCookie(readCookie(req, ADMIN_COOKIE));
+  next();
+}
+
+app.use('/api', attachAdmin);
+
+// Route middleware for everything that changes the library
+function requireAdmin(req, res, next) {
+  if (req.isAdmin) return next();
+  sendError(res, 401, 'Log in as admin to change the library', { code: 'admin_required' });
+}
+
+// Fixed-window rate limit: at most max requests per window and bucket. The
+// bucket is the caller's address unless key says otherwise.
+function rateLimit({ windowMs, max, message, key = req => req.ip }) {
+  const buckets = new Map();
+  
+  return (req, res, next) => {
+    const now = Date.now();
+    if (buckets.size > 1000) {
+      buckets.forEach((bucket, name) => {
+        if (bucket.resetAt <= now) buckets.delete(name);
+      });
+    }
+    
+    const name = key(req);
+    let bucket = buckets.get(name);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(name, bucket);
+    }
+    
+    if (++bucket.count > max) {
+      res.set('Retry-After', String(Math.ceil((bucket.resetAt - now) / 1000)));
+      return sendError(res, 429, message);
+    }
+    next();
+  };
+}
+
+// Guessing the password gets slow; a full rescan is expensive for everyone,
+// so it is limited for the whole server rather than per caller
+const loginLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many login attempts. Try again later'
+});
+const rescanLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 1,
+  key: () => 'rescan',
+  message: 'A rescan was started less than a minute ago. Try again later'
+});
+
+// === TAPE LIBRARY ===
+
+// Get the folder that holds one side of a tape
+function getSideFolder(tape, side) {
+  return path.join(tape.path, `side ${side.toLowerCase()}`);
+}
+
+// Read a tape's label and length from its tape.json (label falls back to the folder name)
+function readTapeInfo(tapePath, fallbackLabel) {
+  let info = {};
+  try {
+    info = JSON.parse(fs.readFileSync(path.join(tapePath, TAPE_INFO_FILE), 'utf8'));
+  } catch (error) {
+    // No info file yet
+  }
+  return {
+    label: info.label || fallbackLabel,
+    length: isTapeLength(info.length) ? info.length : DEFAULT_TAPE_LENGTH,
+    order: info.order || {}
+  };
+}
+
+// Update fields in a tape's tape.json
+function writeTapeInfo(tapePath, changes) {
+  const infoPath = path.join(tapePath, TAPE_INFO_FILE);
+  const info = { ...readJsonFile(infoPath, {}), ...changes };
+  fs.writeFileSync(infoPath, JSON.stringify(info, null, 2));
+}
+
+// A sub-folder of a library root is a tape if it has a label or a side folder
+function isTapeFolder(folderPath) {
+  return ['side a', 'side b', TAPE_INFO_FILE].some(name =>
+    fs.existsSync(path.join(folderPath, name))
+  );
+}
+
+// List every tape on the shelf, default tape first. When two roots hold a
+// tape folder with the same name, the one in the earlier root wins.
+function getTapes() {
+  const tapes = [{
+    id: DEFAULT_TAPE_ID,
+    ...readTapeInfo(musicFolder, 'Default Tape'),
+    path: musicFolder
+  }];
+  const seen = new Set([DEFAULT_TAPE_ID]);
+
+  libraryRoots.filter(root => fs.existsSync(root)).forEach(root => {
+    fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'side a' && entry.name !== 'side b')
+      .filter(entry => !seen.has(entry.name))
+      .forEach(entry => {
+        const tapePath = path.join(root, entry.name);
+        if (isTapeFolder(tapePath)) {
+          seen.add(entry.name);
+          tapes.push({
+            id: entry.name,
+            ...readTapeInfo(tapePath, entry.name),
+            path: tapePath
+          });
+        }
+      });
+  });
+
+  return tapes;
+}
+
+function getTape(tapeId) {
+  return getTapes().find(tape => tape.id === tapeId) || null;
+}
+
+// Tape a session has loaded (falls back to the default tape if it was deleted)
+function getCurrentTape(session) {
+  return getTape(session.currentTapeId) || getTape(DEFAULT_TAPE_ID);
+}
+
+// Turn a label into a folder-safe tape ID that is not taken yet
+function createTapeId(label) {
+  const base = label.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'tape';
+  const taken = new Set(getTapes().map(tape => tape.id));
+
+  let tapeId = base;
+  let suffix = 2;
+  while (taken.has(tapeId) || fs.existsSync(path.join(musicFolder, tapeId))) {
+    tapeId = `${base}-${suffix++}`;
+  }
+  return tapeId;
+}
+
+// Count audio files on each side without parsing metadata
+function countTapeTracks(tape) {
+  return {
+    sideA: listSideFiles(tape, 'A').length,
+    sideB: listSideFiles(tape, 'B').length
+  };
+}
+
+// Public shape of a tape (no server paths)
+function describeTape(tape) {
+  return {
+    id: tape.id,
+    label: tape.label,
+    length: tape.length,
+    ...countTapeTracks(tape)
+  };
+}
+
+// How much of one side the tracks use. Tracks whose duration is not known
+// yet (still being scanned) are counted in unknownDurations.
+function getSideCapacity(tape, tracks) {
+  const sideSeconds = TAPE_LENGTHS[tape.length];
+  const usedSeconds = tracks.reduce((total, track) => total + (track.duration || 0), 0);
+  
+  return {
+    length: tape.length,
+    sideSeconds,
+    usedSeconds: Math.round(usedSeconds),
+    remainingSeconds: Math.round(sideSeconds - usedSeconds),
+    overflow: usedSeconds > sideSeconds,
+    unknownDurations: tracks.filter(track => !track.duration).length
+  };
+}
+
+// Both sides of a tape plus their capacity
+function withCapacity(tape, playlists) {
+  return {
+    ...playlists,
+    length: tape.length,
+    capacity: {
+      A: getSideCapacity(tape, playlists.sideA),
+      B: getSideCapacity(tape, playlists.sideB)
+    }
+  };
+}
+
+// === COVER ART ===
+// A track's cover is its embedded art, else an image named after the track
+// ("song.jpg" next to "song.mp3"), else a folder image such as cover.jpg.
+// Images are stored once under a hash of their content, in their real format,
+// with WebP thumbnails and the dominant colour used for theming the player.
+// The index keeps them in libraryIndex.covers, keyed by hash.
+
+const COVER_THUMBNAIL_SIZES = [96, 256, 512];
+const COVER_HASH_LENGTH = 20;
+const FOLDER_COVER_NAMES = ['cover', 'folder', 'front', 'album'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// File extension for each image format sharp can detect
+const COVER_FORMATS = {
+  jpeg: '.jpg',
+  png: '.png',
+  gif: '.gif',
+  webp: '.webp'
+};
+
+function isImageFile(fileName) {
+  return IMAGE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+// Image data for a track's cover, or null if it has none
+function findCoverImage(filePath, metadata) {
+  const pictures = (metadata && metadata.common.picture) || [];
+  const embedded = pictures.find(picture => picture.type === 'Cover (front)') || pictures[0];
+  if (embedded) return embedded.data;
+  
+  const folder = path.dirname(filePath);
+  const trackName = path.basename(filePath, path.extname(filePath)).toLowerCase();
+  const images = fs.readdirSync(folder).filter(isImageFile);
+  const nameOf = file => path.basename(file, path.extname(file)).toLowerCase();
+  
+  const sidecar = images.find(file => nameOf(file) === trackName) ||
+    FOLDER_COVER_NAMES.map(name => images.find(file => nameOf(file) === name)).find(Boolean);
+  return sidecar ? fs.readFileSync(path.join(folder, sidecar)) : null;
+}
+
+function getThumbnailFile(hash, size) {
+  return `${hash}-${size}.webp`;
+}
+
+// Save an image to the covers folder (once per distinct image) and return its hash
+async function storeCover(data) {
+  const buffer = Buffer.from(data);
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex').slice(0, COVER_HASH_LENGTH);
+  const known = libraryIndex.covers[hash];
+  if (known && fs.existsSync(path.join(coversFolder, known.file))) return hash;
+  
+  // The format comes from the image data: embedded pictures often claim the wrong type
+  const { format } = await sharp(buffer).metadata();
+  const ext = COVER_FORMATS[format];
+  if (!ext) throw new Error(`Unsupported cover format: ${format}`);
+  
+  fs.writeFileSync(path.join(coversFolder, `${hash}${ext}`), buffer);
+  for (const size of COVER_THUMBNAIL_SIZES) {
+    await sharp(buffer)
+      .resize(size, size, { fit: 'cover', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(coversFolder, getThumbnailFile(hash, size)));
+  }
+  
+  const { dominant } = await sharp(buffer).stats();
+  libraryIndex.covers[hash] = {
+    file: `${hash}${ext}`,
+    type: `image/${format}`,
+    color: '#' + [dominant.r, dominant.g, dominant.b].map(value => value.toString(16).padStart(2, '0')).join('')
+  };
+  saveLibraryIndex();
+  return hash;
+}
+
+// Cover fields of the public track shape
+function describeCover(hash) {
+  const cover = hash ? libraryIndex.covers[hash] : null;
+  if (!cover) {
+    return { albumCover: null, coverThumbnails: null, coverColor: null };
+  }
+  
+  const coverThumbnails = {};
+  COVER_THUMBNAIL_SIZES.forEach(size => {
+    coverThumbnails[size] = `/covers/${getThumbnailFile(hash, size)}`;
+  });
+  return { albumCover: `/covers/${cover.file}`, coverThumbnails, coverColor: cover.color };
+}
+
+// Delete a cover and its thumbnails once no indexed track uses it
+function removeUnusedCover(hash) {
+  const cover = hash ? libraryIndex.covers[hash] : null;
+  if (!cover || Object.values(libraryIndex.tracks).some(entry => entry.cover === hash)) return;
+  
+  delete libraryIndex.covers[hash];
+  saveLibraryIndex();
+  [cover.file, ...COVER_THUMBNAIL_SIZES.map(size => getThumbnailFile(hash, size))].forEach(file => {
+    fs.rmSync(path.join(coversFolder, file), { force: true });
+  });
+}
+
+// A cover image was added or changed in a side folder: tracks there pick it
+// up on the next scan
+function invalidateFolderCovers(folderPath) {
+  const prefix = toLibraryKey(folderPath) + '/';
+  Object.entries(libraryIndex.tracks).forEach(([key, entry]) => {
+    if (key.startsWith(prefix) && !key.slice(prefix.length).includes('/')) {
+      entry.mtimeMs = null;
+    }
+  });
+}
+
+// === LIBRARY INDEX ===
+// Parsed metadata is kept in data/library.json, keyed by the file's path inside
+// the music folder. An entry is reused while the file's size and mtime match;
+// anything new or changed is parsed by a background scanner.
+
+const LIBRARY_INDEX_VERSION = 5;
+const COVERS_VERSION = 2;
+const SCAN_CONCURRENCY = 4;
+
+let libraryIndex = readJsonFile(libraryIndexFile, null);
+// Only a library saved before covers moved to content hashes can have legacy
+// cover files; a fresh install has none to clean up
+const hasLegacyCovers = Boolean(libraryIndex) && (libraryIndex.coversVersion || 1) < COVERS_VERSION;
+if (!libraryIndex || libraryIndex.version !== LIBRARY_INDEX_VERSION) {
+  libraryIndex = { version: LIBRARY_INDEX_VERSION, tracks: {}, covers: {}, ids: {} };
+}
+
+// Indexes from before the ID map take their IDs from the entries; an ID seen
+// twice is dropped here and handed out fresh by getTrackId()
+if (!libraryIndex.ids) {
+  const taken = new Set();
+  libraryIndex.ids = {};
+  Object.entries(libraryIndex.tracks).forEach(([key, entry]) => {
+    if (entry.id && !taken.has(entry.id)) {
+      taken.add(entry.id);
+      libraryIndex.ids[key] = entry.id;
+    }
+  });
+}
+
+// Covers used to be saved per track as <trackId>.jpg (first by position, like
+// A-0.jpg, then by path hash). They are stored under content hashes now; the
+// old files are removed once and the index remembers that this has been done.
+if (hasLegacyCovers) {
+  fs.readdirSync(coversFolder)
+    .filter(file => /^[AB]-\d+\.jpg$/.test(file) || /^[a-f0-9]{16}\.jpg$/.test(file))
+    .forEach(file => fs.rmSync(path.join(coversFolder, file), { force: true }));
+}
+if (libraryIndex.coversVersion !== COVERS_VERSION) {
+  libraryIndex.coversVersion = COVERS_VERSION;
+  saveLibraryIndex();
+}
+
+function saveLibraryIndex() {
+  scheduleJsonWrite(libraryIndexFile, () => libraryIndex);
+}
+
+// Which library root a file lives in (the deepest one if roots are nested)
+function getLibraryRootIndex(filePath) {
+  let found = 0;
+  let foundLength = -1;
+  libraryRoots.forEach((root, index) => {
+    const relative = path.relative(root, filePath);
+    const inside = !relative.startsWith('..') && !path.isAbsolute(relative);
+    if (inside && root.length > foundLength) {
+      found = index;
+      foundLength = root.length;
+    }
+  });
+  return found;
+}
+
+// Index key: path inside its library root, always with forward slashes.
+// Files in extra roots get a "~<n>/" prefix, the same as their /musics URL.
+function toLibraryKey(filePath) {
+  const rootIndex = getLibraryRootIndex(filePath);
+  const key = path.relative(libraryRoots[rootIndex], filePath).split(path.sep).join('/');
+  return rootIndex === 0 ? key : `~${rootIndex}/${key}`;
+}
+
+// Stable track ID derived from the file's path, so adding or removing other
+// files never renumbers a track
+function createTrackId(filePath, attempt = 0) {
+  const seed = attempt ? `${toLibraryKey(filePath)}#${attempt}` : toLibraryKey(filePath);
+  return crypto.createHash('sha1').update(seed).digest('hex').slice(0, 16);
+}
+
+// A file's track ID. IDs live in libraryIndex.ids, apart from the parsed
+// metadata: a refresh clears the metadata but not the IDs, and a moved track
+// takes its ID along. A new file whose path hash is already in use (a track
+// was moved away from that path, say) gets a different one.
+function getTrackId(filePath) {
+  const key = toLibraryKey(filePath);
+  if (libraryIndex.ids[key]) return libraryIndex.ids[key];
+  
+  const taken = new Set(Object.values(libraryIndex.ids));
+  let attempt = 0;
+  let trackId = createTrackId(filePath);
+  while (taken.has(trackId)) {
+    trackId = createTrackId(filePath, ++attempt);
+  }
+  libraryIndex.ids[key] = trackId;
+  saveLibraryIndex();
+  return trackId;
+}
+
+// Move a file's index entry and ID along with the file
+function moveIndexEntry(oldPath, newPath) {
+  const oldKey = toLibraryKey(oldPath);
+  const newKey = toLibraryKey(newPath);
+  if (libraryIndex.tracks[oldKey]) {
+    libraryIndex.tracks[newKey] = libraryIndex.tracks[oldKey];
+    delete libraryIndex.tracks[oldKey];
+  }
+  if (libraryIndex.ids[oldKey]) {
+    libraryIndex.ids[newKey] = libraryIndex.ids[oldKey];
+    delete libraryIndex.ids[oldKey];
+  }
+  saveLibraryIndex();
+}
+
+// Forget the metadata and ID of index keys that match
+function forgetIndexEntries(matches) {
+  Object.keys(libraryIndex.tracks).filter(matches).forEach(key => delete libraryIndex.tracks[key]);
+  Object.keys(libraryIndex.ids).filter(matches).forEach(key => delete libraryIndex.ids[key]);
+  saveLibraryIndex();
+}
+
+// Index entry for a file, or null if the file changed since it was parsed
+function getFreshIndexEntry(filePath, stats) {
+  const entry = libraryIndex.tracks[toLibraryKey(filePath)];
+  if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+    return entry;
+  }
+  return null;
+}
+
+// Title built from the filename when the file has no tags
+function titleFromFilename(file) {
+  return path.basename(file, path.extname(file))
+    .replace(/_/g, ' ')
+    .replace(/-/g, ' ')
+    .trim();
+}
+
+// Parse one file and store its metadata in the index
+async function indexFile(filePath) {
+  const stats = fs.statSync(filePath);
+  if (getFreshIndexEntry(filePath, stats)) return;
+  
+  // A file that changed (new tags, say) keeps its ID, which may have come
+  // with it from another side
+  const entry = {
+    id: getTrackId(filePath),
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    title: null,
+    artist: null,
+    album: null,
+    trackNo: null,
+    cover: null,
+    duration: null,
+    bitrate: null,
+    codec: null,
+    lyrics: null
+  };
+  
+  let metadata = null;
+  try {
+    metadata = await mm.parseFile(filePath);
+    entry.title = metadata.common.title || null;
+    entry.artist = metadata.common.artist || null;
+    entry.album = metadata.common.album || null;
+    entry.trackNo = metadata.common.track.no || null;
+    entry.duration = metadata.format.duration || null;
+    entry.bitrate = metadata.format.bitrate ? Math.round(metadata.format.bitrate) : null;
+    entry.codec = metadata.format.codec || null;
+    entry.lyrics = (metadata.common.lyrics || []).join('\n').trim() || null;
+  } catch (error) {
+    // Keep the entry so a broken file is not re-parsed until it changes
+    console.error(`Error reading metadata for ${path.basename(filePath)}:`, error.message);
+    entry.error = error.message;
+  }
+  
+  // Sidecar and folder images also cover files whose tags could not be read
+  try {
+    const image = findCoverImage(filePath, metadata);
+    entry.cover = image ? await storeCover(image) : null;
+  } catch (error) {
+    console.error(`Error storing cover for ${path.basename(filePath)}:`, error.message);
+  }
+  
+  libraryIndex.tracks[toLibraryKey(filePath)] = entry;
+  saveLibraryIndex();
+}
+
+// Background scanner state, reported by GET /api/library/status
+const pendingScans = new Set();
+let scanPromise = null;
+let scanStatus = {
+  state: 'idle',
+  total: 0,
+  done: 0,
+  failed: 0,
+  startedAt: null,
+  finishedAt: null
+};
+
+// Parse queued files, SCAN_CONCURRENCY at a time
+async function runScanner() {
+  const worker = async () => {
+    while (pendingScans.size > 0) {
+      const filePath = pendingScans.values().next().value;
+      pendingScans.delete(filePath);
+      
+      try {
+        await indexFile(filePath);
+      } catch (error) {
+        // File vanished or cannot be read
+        scanStatus.failed++;
+      }
+      scanStatus.done++;
+    }
+  };
+  
+  await Promise.all(Array.from({ length: SCAN_CONCURRENCY }, worker));
+  
+  scanStatus.state = 'idle';
+  scanStatus.finishedAt = new Date();
+}
+
+// Queue files for the background scanner; resolves when the queue is empty
+function queueScan(filePaths) {
+  if (filePaths.length === 0) {
+    return scanPromise || Promise.resolve();
+  }
+  
+  if (!scanPromise) {
+    scanStatus = {
+      state: 'scanning',
+      total: 0,
+      done: 0,
+      failed: 0,
+      startedAt: new Date(),
+      finishedAt: null
+    };
+  }
+  
+  filePaths.forEach(filePath => {
+    if (!pendingScans.has(filePath)) {
+      pendingScans.add(filePath);
+      scanStatus.total++;
+    }
+  });
+  
+  if (!scanPromise) {
+    scanPromise = runScanner().finally(() => {
+      scanPromise = null;
+    });
+  }
+  return scanPromise;
+}
+
+// List the audio files on one side of a tape
+function listSideFiles(tape, side) {
+  const folderPath = getSideFolder(tape, side);
+  if (!fs.existsSync(folderPath)) return [];
+  
+  // Mixtape order: files listed in the side's manifest first, then any it
+  // does not know yet (new uploads, files copied in by hand) by name
+  const manifest = (tape.order && tape.order[side]) || [];
+  const rank = new Map(manifest.map((file, index) => [file, index]));
+  const byOrder = (a, b) => {
+    const rankA = rank.has(a) ? rank.get(a) : Infinity;
+    const rankB = rank.has(b) ? rank.get(b) : Infinity;
+    if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+    return a.localeCompare(b, undefined, { numeric: true });
+  };
+  
+  return fs.readdirSync(folderPath)
+    .filter(file => audioExtensions.includes(path.extname(file).toLowerCase()))
+    .sort(byOrder)
+    .map(file => path.join(folderPath, file));
+}
+
+// Persist the order of one or both sides ({ A: [filePath, ...] }) in tape.json
+function saveSideOrder(tape, sides) {
+  const order = { ...tape.order };
+  Object.entries(sides).forEach(([side, filePaths]) => {
+    order[side] = filePaths.map(filePath => path.basename(filePath));
+  });
+  writeTapeInfo(tape.path, { order });
+  tape.order = order;
+}
+
+// Check every tape against the index: drop entries for deleted files and
+// queue new or changed files. Resolves when the scan has finished.
+function scanLibrary() {
+  const filePaths = [];
+  getTapes().forEach(tape => {
+    filePaths.push(...listSideFiles(tape, 'A'), ...listSideFiles(tape, 'B'));
+  });
+  
+  const existing = new Set(filePaths.map(toLibraryKey));
+  forgetIndexEntries(key => !existing.has(key));
+  Object.keys(libraryIndex.covers).forEach(removeUnusedCover);
+  saveLibraryIndex();
+  
+  const stale = filePaths.filter(filePath => {
+    try {
+      return !getFreshIndexEntry(filePath, fs.statSync(filePath));
+    } catch (error) {
+      return false;
+    }
+  });
+  return queueScan(stale);
+}
+
+// Build the /musics URL for a file inside a library root
+function toMusicUrl(filePath) {
+  const segments = toLibraryKey(filePath).split('/');
+  return '/musics/' + segments.map(encodeURIComponent).join('/');
+}
+
+// Function to load a tape's tracks from the library index. Files that are not
+// indexed yet are listed with placeholder metadata and queued for scanning.
+async function loadMusicFiles(tape = getTape(DEFAULT_TAPE_ID)) {
+  const stale = [];
+  
+  const getSongsFromFolder = (side) => {
+    const tracks = [];
+    
+    listSideFiles(tape, side).forEach(filePath => {
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch (error) {
+        return; // Removed while listing
+      }
+      
+      const file = path.basename(filePath);
+      const entry = getFreshIndexEntry(filePath, stats);
+      if (!entry) stale.push(filePath);
+      
+      tracks.push({
+        id: getTrackId(filePath),
+        title: (entry && entry.title) || titleFromFilename(file),
+        hasTitle: Boolean(entry && entry.title), // false while title is the filename stand-in
+        artist: (entry && entry.artist) || 'Unknown Artist',
+        album: (entry && entry.album) || 'Unknown Album',
+        trackNo: entry ? entry.trackNo : null,
+        filename: file,
+        url: toMusicUrl(filePath),
+        ...describeCover(entry && entry.cover),
+        duration: entry ? entry.duration : null,
+        bitrate: entry ? entry.bitrate : null,
+        codec: entry ? entry.codec : null,
+        hasLyrics: Boolean(entry && entry.lyrics) || fs.existsSync(getLyricsPath(filePath)),
+        size: stats.size,
+        trackNumber: tracks.length + 1
+      });
+    });
+    
+    return tracks;
+  };
+  
+  const sideA = getSongsFromFolder('A');
+  const sideB = getSongsFromFolder('B');
+  
+  queueScan(stale);
+  
+  return { sideA, sideB };
+}
+
+// === LIVE UPDATES ===
+// The side folders are watched; changes trigger a debounced rescan and the
+// differences are pushed to open players over Server-Sent Events.
+
+const WATCH_DEBOUNCE = 750;
+const eventClients = new Set();
+const folderWatchers = new Map();
+const sideSnapshots = new Map();
+let rescanTimer = null;
+let rescanChain = Promise.resolve();
+
+// Send an event to every connected player
+function broadcastEvent(type, data) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach(client => client.write(message));
+}
+
+// Watch the library roots (for new tapes) and every side folder
+function syncWatchers() {
+  const folders = [...libraryRoots];
+  getTapes().forEach(tape => {
+    folders.push(getSideFolder(tape, 'A'), getSideFolder(tape, 'B'));
+  });
+  
+  folderWatchers.forEach((watcher, folderPath) => {
+    if (!folders.includes(folderPath)) {
+      watcher.close();
+      folderWatchers.delete(folderPath);
+    }
+  });
+  
+  folders
+    .filter(folderPath => !folderWatchers.has(folderPath) && fs.existsSync(folderPath))
+    .forEach(folderPath => {
+      try {
+        const watcher = fs.watch(folderPath, (eventType, fileName) => {
+          if (isImageFile(fileName)) invalidateFolderCovers(folderPath);
+          scheduleLibraryRescan();
+        });
+        watcher.on('error', () => {
+          watcher.close();
+          folderWatchers.delete(folderPath);
+        });
+        folderWatchers.set(folderPath, watcher);
+      } catch (error) {
+        console.error(`Cannot watch ${folderPath}:`, error.message);
+      }
+    });
+}
+
+// Compare each side with what players last saw and broadcast the differences
+async function publishLibraryChanges({ silent = false } = {}) {
+  const seen = new Set();
+  
+  for (const tape of getTapes()) {
+    const playlists = await loadMusicFiles(tape);
+    
+    ['A', 'B'].forEach(side => {
+      const key = `${tape.id}:${side}`;
+      const tracks = side === 'A' ? playlists.sideA : playlists.sideB;
+      const previous = sideSnapshots.get(key) || new Map();
+      const current = new Map(tracks.map(track => [track.id, track]));
+      seen.add(key);
+      sideSnapshots.set(key, current);
+      
+      if (silent) return;
+      
+      tracks.forEach(track => {
+        const before = previous.get(track.id);
+        if (!before) {
+          broadcastEvent('track-added', { tapeId: tape.id, side, track });
+        } else if (['title', 'hasTitle', 'artist', 'album', 'trackNo', 'albumCover', 'duration', 'hasLyrics'].some(field => before[field] !== track[field])) {
+          broadcastEvent('metadata-changed', { tapeId: tape.id, side, track });
+        }
+      });
+      
+      previous.forEach((track, trackId) => {
+        if (!current.has(trackId)) {
+          broadcastEvent('track-removed', { tapeId: tape.id, side, trackId });
+        }
+      });
+      
+      // Tracks that stayed on the side but changed places
+      const keptBefore = [...previous.keys()].filter(trackId => current.has(trackId));
+      const keptAfter = [...current.keys()].filter(trackId => previous.has(trackId));
+      if (keptBefore.some((trackId, index) => trackId !== keptAfter[index])) {
+        broadcastEvent('side-reordered', { tapeId: tape.id, side, trackIds: [...current.keys()] });
+      }
+    });
+  }
+  
+  sideSnapshots.forEach((snapshot, key) => {
+    if (!seen.has(key)) sideSnapshots.delete(key);
+  });
+}
+
+// Rescan everything and publish the changes (one rescan at a time)
+function rescanAndPublish() {
+  rescanChain = rescanChain
+    .then(() => scanLibrary())
+    .then(() => publishLibraryChanges())
+    .catch(error => console.error('Error rescanning library:', error));
+  return rescanChain;
+}
+
+// Folder changes arrive in bursts, so wait for them to settle before rescanning
+function scheduleLibraryRescan() {
+  clearTimeout(rescanTimer);
+  rescanTimer = setTimeout(() => {
+    syncWatchers();
+    rescanAndPublish();
+  }, WATCH_DEBOUNCE);
+}
+
+// === UPLOADS ===
+
+const MAX_UPLOAD_SIZE_MB = 100;
+const MAX_UPLOAD_FILES = 20;
+
+// Uploads land in data/uploads (keeping their extension so music-metadata can
+// recognise the format) and are only moved onto a side once they parse.
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: uploadsFolder,
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024,
+    files: MAX_UPLOAD_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!audioExtensions.includes(ext)) {
+      return cb(new Error(`Unsupported file type "${ext || file.originalname}". Use ${audioExtensions.join(', ')}`));
+    }
+    cb(null, true);
+  }
+});
+
+// Receive the "tracks" files, turning multer errors into JSON responses
+function receiveUploads(req, res, next) {
+  upload.array('tracks', MAX_UPLOAD_FILES)(req, res, error => {
+    if (!error) return next();
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 413, `Files must be ${MAX_UPLOAD_SIZE_MB} MB or smaller`, { field: 'tracks' });
+    }
+    sendError(res, 400, error.message, { field: 'tracks' });
+  });
+}
+
+function removeUploads(files) {
+  (files || []).forEach(file => fs.rm(file.path, { force: true }, () => {}));
+}
+
+// Format seconds as m:ss for messages
+function formatDuration(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Keep only the file name and drop characters that are unsafe in file names
+function sanitizeFilename(name) {
+  return path.basename(name)
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .trim() || 'track';
+}
+
+// Path in folderPath for fileName, adding " (2)", " (3)"... if it is taken
+function getAvailablePath(folderPath, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  
+  let candidate = path.join(folderPath, fileName);
+  let copy = 2;
+  while (fs.existsSync(candidate)) {
+    candidate = path.join(folderPath, `${base} (${copy++})${ext}`);
+  }
+  return candidate;
+}
+
+// Find a track's file anywhere in the library by its ID
+function findTrackFile(trackId) {
+  for (const tape of getTapes()) {
+    for (const side of ['A', 'B']) {
+      const filePath = listSideFiles(tape, side).find(candidate => getTrackId(candidate) === trackId);
+      if (filePath) return { tape, side, filePath };
+    }
+  }
+  return null;
+}
+
+// === LYRICS ===
+// Lyrics come from a sidecar .lrc file next to the audio (same name), or from
+// the lyrics tag embedded in the file (ID3 USLT, Vorbis LYRICS, ...). Both may
+// be plain text or LRC with [mm:ss.xx] timestamps.
+
+function getLyricsPath(filePath) {
+  return path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}.lrc`);
+}
+
+// Parse LRC text into lines sorted by time. Lines without a timestamp are
+// kept (time null) so plain lyrics come through as well.
+function parseLyrics(text) {
+  const timestamp = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+  const lines = [];
+  let offset = 0;
+  
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    
+    // ID tags such as [ar:Artist]; only the offset (ms) matters here
+    const tag = line.match(/^\[([a-z]+):(.*)\]$/i);
+    if (tag) {
+      if (tag[1].toLowerCase() === 'offset') offset = (parseInt(tag[2], 10) || 0) / 1000;
+      return;
+    }
+    
+    const times = [];
+    const lyric = line.replace(timestamp, (match, minutes, seconds) => {
+      times.push(parseInt(minutes, 10) * 60 + parseFloat(seconds.replace(':', '.')));
+      return '';
+    })
+      .replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '') // Enhanced LRC word timings
+      .trim();
+    
+    if (times.length === 0) {
+      if (lyric) lines.push({ time: null, text: lyric });
+      return;
+    }
+    times.forEach(time => lines.push({ time, text: lyric }));
+  });
+  
+  const synced = lines.some(line => line.time !== null);
+  if (synced) {
+    // Untimed lines in a synced file are credits and the like; drop them
+    return {
+      synced,
+      lines: lines
+        .filter(line => line.time !== null)
+        .map(line => ({ time: Math.max(Math.round((line.time - offset) * 100) / 100, 0), text: line.text }))
+        .sort((a, b) => a.time - b.time)
+    };
+  }
+  return { synced, lines };
+}
+
+// === TAG EDITING ===
+// Tags are written into the file itself: ID3v2 for MP3, Vorbis comments for
+// FLAC and OGG. A new cover arrives as the "cover" image of a multipart form.
+
+const TAG_EDIT_EXTENSIONS = ['.mp3', '.flac', '.ogg'];
+const TAG_FIELDS = ['title', 'artist', 'album'];
+const MAX_TAG_LENGTH = 200;
+const MAX_TRACK_NO = 999;
+const MAX_COVER_SIZE_MB = 10;
+const COVER_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_COVER_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!COVER_TYPES.includes(file.mimetype)) {
+      return cb(new Error('Cover must be a JPEG, PNG, GIF or WebP image'));
+    }
+    cb(null, true);
+  }
+});
+
+// Receive an optional "cover" image, turning multer errors into JSON responses
+function receiveCover(req, res, next) {
+  coverUpload.single('cover')(req, res, error => {
+    if (!error) return next();
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 413, `Covers must be ${MAX_COVER_SIZE_MB} MB or smaller`, { field: 'cover' });
+    }
+    sendError(res, 400, error.message, { field: 'cover' });
+  });
+}
+
+// MIME type of an uploaded cover, read from the image data rather than the
+// type the client claimed. null if it is not a JPEG, PNG, GIF or WebP image.
+async function detectCoverType(buffer) {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return Object.hasOwn(COVER_FORMATS, format) ? `image/${format}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check the requested tag changes. Form fields arrive as strings, JSON may
+// use real types; an empty value clears the tag.
+// Returns { changes } or { error, field }.
+function validateTagChanges(body, cover) {
+  const changes = {};
+  
+  for (const field of TAG_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${field} must be text`, field };
+    }
+    const value = (body[field] || '').trim();
+    if (value.length > MAX_TAG_LENGTH) {
+      return { error: `${field} must be ${MAX_TAG_LENGTH} characters or fewer`, field };
+    }
+    changes[field] = value;
+  }
+  
+  if (body.trackNo !== undefined) {
+    // Empty clears the track number (stored as 0); 0 itself is not a track number
+    const clear = body.trackNo === null || body.trackNo === '';
+    const value = clear ? 0 : Number(body.trackNo);
+    if (!clear && (!Number.isInteger(value) || value < 1 || value > MAX_TRACK_NO)) {
+      return { error: `trackNo must be a whole number from 1 to ${MAX_TRACK_NO} (or empty to clear it)`, field: 'trackNo' };
+    }
+    changes.trackNo = value;
+  }
+  
+  const removeCover = body.removeCover === true || body.removeCover === 'true';
+  if (cover && removeCover) {
+    return { error: 'Send a cover or removeCover, not both', field: 'removeCover' };
+  }
+  if (cover) changes.cover = cover;
+  if (removeCover) changes.cover = null;
+  
+  if (Object.keys(changes).length === 0) {
+    return { error: `Nothing to change. Send ${[...TAG_FIELDS, 'trackNo'].join(', ')}, a cover image or removeCover` };
+  }
+  return { changes };
+}
+
+// Write tag changes into an audio file
+function writeTags(filePath, changes) {
+  const file = TagFile.createFromPath(filePath);
+  
+  try {
+    if (changes.title !== undefined) file.tag.title = changes.title || undefined;
+    if (changes.artist !== undefined) file.tag.performers = changes.artist ? [changes.artist] : [];
+    if (changes.album !== undefined) file.tag.album = changes.album || undefined;
+    if (changes.trackNo !== undefined) file.tag.track = changes.trackNo;
+    
+    if (changes.cover === null) {
+      file.tag.pictures = [];
+    } else if (changes.cover) {
+      const picture = Picture.fromData(ByteVector.fromByteArray(changes.cover.buffer));
+      picture.type = PictureType.FrontCover;
+      picture.mimeType = changes.cover.mimeType;
+      file.tag.pictures = [picture];
+    }
+    
+    file.save();
+  } finally {
+    file.dispose();
+  }
+}
+
+// === SEARCH ===
+// Fuzzy search over title, artist, album and filename. Every word of the query
+// has to match some field (exactly, as a prefix, inside a word, with a typo or
+// as scattered letters); matches in the title count most.
+
+const SEARCH_FIELDS = [
+  { name: 'title', weight: 1 },
+  { name: 'artist', weight: 0.8 },
+  { name: 'album', weight: 0.6 },
+  { name: 'filename', weight: 0.5 }
+];
+const MAX_SEARCH_RESULTS = 200;
+
+// Lowercase, strip accents and punctuation: "Beyoncé - Halo!" -> "beyonce halo"
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Letters of the token appear in order within the text
+function isSubsequence(token, text) {
+  let position = 0;
+  for (const char of text) {
+    if (char === token[position]) position++;
+    if (position === token.length) return true;
+  }
+  return false;
+}
+
+// How well one query word matches a normalized field (0 = not at all)
+function scoreSearchToken(token, field) {
+  const words = field.split(' ');
+  
+  if (words.includes(token)) return 10;
+  if (words.some(word => word.startsWith(token))) return 7;
+  if (field.includes(token)) return 5;
+  
+  if (token.length >= 4) {
+    const allowed = token.length >= 7 ? 2 : 1;
+    if (words.some(word => Math.abs(word.length - token.length) <= allowed && editDistance(token, word) <= allowed)) {
+      return 4;
+    }
+  }
+  if (token.length >= 3 && isSubsequence(token, field.replace(/ /g, ''))) return 2;
+  return 0;
+}
+
+// Score a track against a query, or null when some query word matches nothing
+function scoreTrack(track, query) {
+  const tokens = query.split(' ');
+  const fields = SEARCH_FIELDS.map(({ name, weight }) => ({
+    name,
+    weight,
+    text: normalizeSearchText(name === 'filename' ? path.basename(track.filename, path.extname(track.filename)) : track[name])
+  }));
+  
+  let score = 0;
+  const fieldScores = {};
+  
+  for (const token of tokens) {
+    let best = 0;
+    fields.forEach(field => {
+      const tokenScore = scoreSearchToken(token, field.text) * field.weight;
+      fieldScores[field.name] = (fieldScores[field.name] || 0) + tokenScore;
+      best = Math.max(best, tokenScore);
+    });
+    if (best === 0) return null;
+    score += best;
+  }
+  
+  // Bonus when the whole query appears as typed
+  fields.forEach(field => {
+    if (field.text === query) score += 10 * field.weight;
+    else if (field.text.startsWith(query)) score += 6 * field.weight;
+    else if (field.text.includes(query)) score += 3 * field.weight;
+  });
+  
+  const matchedField = Object.keys(fieldScores).reduce((a, b) => (fieldScores[b] > fieldScores[a] ? b : a));
+  return { score: Math.round(score * 100) / 100, matchedField };
+}
+
+// === PLAYLIST FILES ===
+// Sides are exported as M3U8, PLS or XSPF for other players, and the same
+// formats are read back to build a side from tracks already in the library.
+
+const PLAYLIST_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  pls: { contentType: 'audio/x-scpls; charset=utf-8', extension: 'pls' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' }
+};
+const MAX_PLAYLIST_SIZE = '1mb';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(code))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Write a side as a playlist file; baseUrl makes the /musics links absolute
+function formatPlaylist(format, title, tracks, baseUrl) {
+  const duration = track => (track.duration ? Math.round(track.duration) : -1);
+  
+  if (format === 'pls') {
+    return ['[playlist]', ...tracks.flatMap((track, index) => [
+      `File${index + 1}=${baseUrl}${track.url}`,
+      `Title${index + 1}=${track.artist} - ${track.title}`,
+      `Length${index + 1}=${duration(track)}`
+    ]), `NumberOfEntries=${tracks.length}`, 'Version=2', ''].join('\n');
+  }
+  
+  if (format === 'xspf') {
+    const trackList = tracks.map(track => [
+      '    <track>',
+      `      <location>${escapeXml(baseUrl + track.url)}</location>`,
+      `      <title>${escapeXml(track.title)}</title>`,
+      `      <creator>${escapeXml(track.artist)}</creator>`,
+      `      <album>${escapeXml(track.album)}</album>`,
+      `      <trackNum>${track.trackNumber}</trackNum>`,
+      track.duration ? `      <duration>${Math.round(track.duration * 1000)}</duration>` : null,
+      '    </track>'
+    ].filter(Boolean).join('\n'));
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeXml(title)}</title>`,
+      '  <trackList>',
+      ...trackList,
+      '  </trackList>',
+      '</playlist>',
+      ''
+    ].join('\n');
+  }
+  
+  return ['#EXTM3U', `#PLAYLIST:${title}`, ...tracks.flatMap(track => [
+    `#EXTINF:${duration(track)},${track.artist} - ${track.title}`,
+    `${baseUrl}${track.url}`
+  ]), ''].join('\n');
+}
+
+// "Artist - Title" as written by EXTINF and PLS titles
+function splitDisplayTitle(text) {
+  const separator = text.indexOf(' - ');
+  if (separator < 0) return { artist: null, title: text.trim() || null };
+  return { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+}
+
+// Read a playlist file into entries: { location, title, artist }
+function parsePlaylist(text, format) {
+  const content = text.replace(/^\uFEFF/, '');
+  const detected = format ||
+    (/^\s*\[playlist\]/i.test(content) ? 'pls' : /<playlist[\s>]/.test(content) ? 'xspf' : 'm3u8');
+  
+  if (detected === 'xspf') {
+    const field = (block, name) => {
+      const match = block.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+      return match ? unescapeXml(match[1]).trim() : null;
+    };
+    return (content.match(/<track>[\s\S]*?<\/track>/g) || []).map(block => ({
+      location: field(block, 'location'),
+      title: field(block, 'title'),
+      artist: field(block, 'creator')
+    }));
+  }
+  
+  if (detected === 'pls') {
+    const entries = {};
+    content.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^\s*(File|Title)(\d+)\s*=\s*(.*)$/i);
+      if (!match) return;
+      const entry = entries[match[2]] || (entries[match[2]] = { location: null, title: null, artist: null });
+      if (match[1].toLowerCase() === 'file') {
+        entry.location = match[3].trim();
+      } else {
+        Object.assign(entry, splitDisplayTitle(match[3]));
+      }
+    });
+    return Object.keys(entries).sort((a, b) => a - b).map(number => entries[number]);
+  }
+  
+  const entries = [];
+  let info = null;
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line.startsWith('#EXTINF:')) {
+      info = splitDisplayTitle(line.slice(line.indexOf(',') + 1));
+    } else if (line && !line.startsWith('#')) {
+      entries.push({ location: line, ...(info || { title: null, artist: null }) });
+      info = null;
+    }
+  });
+  return entries;
+}
+
+// Every track in the library with the file behind it
+async function listLibraryTracks() {
+  const library = [];
+  for (const tape of getTapes()) {
+    const playlists = await loadMusicFiles(tape);
+    ['A', 'B'].forEach(side => {
+      // Matched by filename: the folder may have changed since the playlist was read
+      const filePaths = new Map(listSideFiles(tape, side).map(filePath => [path.basename(filePath), filePath]));
+      playlists[`side${side}`].forEach(track => {
+        const filePath = filePaths.get(track.filename);
+        if (filePath) library.push({ tape, side, track, filePath });
+      });
+    });
+  }
+  return library;
+}
+
+// Find the library track a playlist entry points at: by /musics URL, then by
+// filename, then by title and artist
+function resolvePlaylistEntry(entry, library) {
+  const location = entry.location ? entry.location.replace(/\\/g, '/') : '';
+  let decoded = location;
+  try {
+    decoded = decodeURIComponent(location);
+  } catch (error) {
+    // Not URL-encoded
+  }
+  
+  const musicsAt = location.indexOf('/musics/');
+  if (musicsAt >= 0) {
+    const url = location.slice(musicsAt).split(/[?#]/)[0];
+    const found = library.find(item => item.track.url === url);
+    if (found) return found;
+  }
+  
+  const filename = path.posix.basename(decoded);
+  if (filename) {
+    const found = library.find(item => item.track.filename === filename);
+    if (found) return found;
+  }
+  
+  const title = normalizeSearchText(entry.title);
+  const artist = normalizeSearchText(entry.artist);
+  if (title) {
+    return library.find(item =>
+      normalizeSearchText(item.track.title) === title &&
+      (!artist || normalizeSearchText(item.track.artist) === artist)
+    ) || null;
+  }
+  return null;
+}
+
+// === LISTENING HISTORY ===
+// Players report when a track starts, is played to the end (complete) or is
+// left early (skip). Each event keeps a copy of the track's tags, so stats
+// and exports still make sense after the file is deleted or retagged.
+
+const PLAY_EVENT_TYPES = ['start', 'complete', 'skip'];
+const MAX_HISTORY_EVENTS = 20000;
+const STATS_LIMIT = 10;
+
+let listeningHistory = readJsonFile(historyFile, []);
+
+function saveHistory() {
+  scheduleJsonWrite(historyFile, () => listeningHistory);
+}
+
+function recordPlayEvent(event) {
+  listeningHistory.push(event);
+  if (listeningHistory.length > MAX_HISTORY_EVENTS) {
+    listeningHistory.splice(0, listeningHistory.length - MAX_HISTORY_EVENTS);
+  }
+  saveHistory();
+}
+
+// History filtered by ?scope=me|all, ?tapeId= and ?days=
+function selectHistory(req, defaultScope) {
+  const scope = req.query.scope || defaultScope;
+  const days = parseInt(req.query.days, 10);
+  const since = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  
+  return listeningHistory.filter(event =>
+    (scope !== 'me' || event.sessionId === req.sessionId) &&
+    (!req.query.tapeId || event.tapeId === req.query.tapeId) &&
+    event.at >= since
+  );
+}
+
+// Share of finished plays that were skipped (null before anything finished)
+function getSkipRate(stats) {
+  const finished = stats.completed + stats.skipped;
+  return finished > 0 ? Math.round((stats.skipped / finished) * 1000) / 1000 : null;
+}
+
+function buildStats(events, limit) {
+  const emptyStats = () => ({ plays: 0, completed: 0, skipped: 0, listeningSeconds: 0 });
+  const totals = emptyStats();
+  const tracks = new Map();
+  const artists = new Map();
+  const days = new Map();
+  
+  events.forEach(event => {
+    const track = tracks.get(event.trackId) ||
+      { trackId: event.trackId, title: null, artist: null, album: null, tapeId: null, ...emptyStats() };
+    const artist = artists.get(event.artist) || { artist: event.artist, ...emptyStats() };
+    
+    // The newest event has the current tags
+    Object.assign(track, { title: event.title, artist: event.artist, album: event.album, tapeId: event.tapeId });
+    
+    [totals, track, artist].forEach(stats => {
+      if (event.type === 'start') stats.plays++;
+      if (event.type === 'complete') stats.completed++;
+      if (event.type === 'skip') stats.skipped++;
+      stats.listeningSeconds += event.listened || 0;
+    });
+    
+    if (event.listened) {
+      const day = new Date(event.at).toISOString().slice(0, 10);
+      days.set(day, (days.get(day) || 0) + event.listened);
+    }
+    
+    tracks.set(event.trackId, track);
+    artists.set(event.artist, artist);
+  });
+  
+  const rank = (a, b) => b.plays - a.plays || b.listeningSeconds - a.listeningSeconds;
+  const finish = stats => ({ ...stats, listeningSeconds: Math.round(stats.listeningSeconds), skipRate: getSkipRate(stats) });
+  
+  return {
+    totals: finish(totals),
+    topTracks: [...tracks.values()].sort(rank).slice(0, limit).map(finish),
+    topArtists: [...artists.values()].sort(rank).slice(0, limit).map(finish),
+    listeningTimePerDay: [...days.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, seconds]) => ({ date, seconds: Math.round(seconds) }))
+  };
+}
+
+// ListenBrainz counts a listen after half the track or 4 minutes
+function isListen(event) {
+  if (event.type === 'complete') return true;
+  if (event.type !== 'skip' || !event.listened) return false;
+  return event.listened >= 240 || (event.duration > 0 && event.listened >= event.duration / 2);
+}
+
+// History as a ListenBrainz "import" submission
+function toListenBrainz(events) {
+  return {
+    listen_type: 'import',
+    payload: events.filter(isListen).map(event => ({
+      listened_at: Math.floor((event.at - (event.listened || 0) * 1000) / 1000),
+      track_metadata: {
+        artist_name: event.artist,
+        track_name: event.title,
+        ...(event.album ? { release_name: event.album } : {}),
+        additional_info: {
+          ...(event.duration ? { duration_ms: Math.round(event.duration * 1000) } : {}),
+          media_player: 'Nostalgic Tape Player',
+          submission_client: 'Nostalgic Tape Player'
+        }
+      }
+    }))
+  };
+}
+
+// === LISTENING PARTY ===
+// Listeners in a room follow one host over a WebSocket at /api/party. The
+// server holds the room's playback state, using the same fields as a session,
+// and sends it with the position the host has reached by the time it is sent.
+// Hosting follows the listener's session (so every tab of the host stays
+// host), but session IDs are credentials and never leave the server: members
+// and requests are only named by a random ID per connection.
+//
+// Client messages: join { room?, name }, leave, state { currentTapeId,
+// currentSide, currentTrackId, currentTime, isPlaying } (host only),
+// request { trackId } (followers) and answer { requestId, approve } (host only).
+// Server messages: room, state, answered and error.
+
+const PARTY_PATH = '/api/party';
+const PARTY_CODE_LENGTH = 5;
+const PARTY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const MAX_PARTY_NAME_LENGTH = 30;
+const MAX_PARTY_REQUESTS = 20;
+const PARTY_PING_INTERVAL = 30000;
+
+const server = http.createServer(app);
+const partyServer = new WebSocketServer({
+  server,
+  path: PARTY_PATH,
+  verifyClient: ({ origin, req }) => !origin || isAllowedOrigin(origin) || isSameHost(origin, req)
+});
+const partyRooms = new Map();
+
+function createPartyCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(PARTY_CODE_LENGTH), byte => PARTY_CODE_CHARS[byte % PARTY_CODE_CHARS.length]).join('');
+  } while (partyRooms.has(code));
+  return code;
+}
+
+// The playback fields of a session, which start a room off
+function getPlaybackState(session) {
+  return {
+    currentTapeId: session.currentTapeId,
+    currentSide: session.currentSide,
+    currentTrackId: session.currentTrackId,
+    currentTime: session.currentTime || 0,
+    isPlaying: Boolean(session.isPlaying),
+    updatedAt: Date.now()
+  };
+}
+
+// Where the host's tape is now
+function getPartyPosition(room) {
+  const { currentTime, isPlaying, updatedAt } = room.state;
+  return isPlaying ? currentTime + (Date.now() - updatedAt) / 1000 : currentTime;
+}
+
+function sendPartyMessage(socket, type, data) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type, ...data }));
+  }
+}
+
+// A request as members see it (without the requester's session)
+function describePartyRequest(request) {
+  const { sessionId, ...publicRequest } = request;
+  return publicRequest;
+}
+
+function describeParty(room) {
+  return {
+    code: room.code,
+    members: [...room.members.values()].map(member => ({
+      id: member.id,
+      name: member.name,
+      isHost: member.sessionId === room.hostSessionId,
+      joinedAt: member.joinedAt
+    })),
+    requests: room.requests.map(describePartyRequest)
+  };
+}
+
+function describePartyState(room) {
+  const { updatedAt, ...state } = room.state;
+  return { ...state, currentTime: getPartyPosition(room) };
+}
+
+function broadcastPartyRoom(room) {
+  const party = describeParty(room);
+  room.members.forEach((member, socket) => {
+    sendPartyMessage(socket, 'room', { you: member.id, party });
+  });
+}
+
+function broadcastPartyState(room) {
+  const state = describePartyState(room);
+  room.members.forEach((member, socket) => sendPartyMessage(socket, 'state', { state }));
+}
+
+// Check a state message from the host, or return an error message
+function validatePartyState(state) {
+  if (!state || typeof state !== 'object') return 'state is required';
+  if (!getTape(state.currentTapeId)) return 'Unknown tape';
+  if (!['A', 'B'].includes(state.currentSide)) return 'Side must be A or B';
+  if (state.currentTrackId !== null && typeof state.currentTrackId !== 'string') return 'currentTrackId must be a track ID or null';
+  if (typeof state.currentTime !== 'number' || !(state.currentTime >= 0)) return 'currentTime must be seconds (0 or more)';
+  if (typeof state.isPlaying !== 'boolean') return 'isPlaying must be true or false';
+  return null;
+}
+
+function joinParty(socket, message) {
+  const name = typeof message.name === 'string' ? message.name.trim().slice(0, MAX_PARTY_NAME_LENGTH) : '';
+  let room;
+  
+  if (message.room) {
+    room = partyRooms.get(String(message.room).toUpperCase());
+    if (!room) {
+      return sendPartyMessage(socket, 'error', { error: 'Party not found' });
+    }
+  } else {
+    // No code: start a new party hosted by this listener
+    room = {
+      code: createPartyCode(),
+      hostSessionId: socket.sessionId,
+      members: new Map(),
+      requests: [],
+      state: getPlaybackState(sessions[socket.sessionId] || createDefaultSession())
+    };
+    partyRooms.set(room.code, room);
+  }
+  
+  if (socket.partyCode !== room.code) leaveParty(socket);
+  socket.partyCode = room.code;
+  room.members.set(socket, {
+    id: socket.memberId,
+    sessionId: socket.sessionId,
+    name: name || 'Listener',
+    joinedAt: Date.now()
+  });
+  
+  broadcastPartyRoom(room);
+  sendPartyMessage(socket, 'state', { state: describePartyState(room) });
+}
+
+function leaveParty(socket) {
+  const room = partyRooms.get(socket.partyCode);
+  socket.partyCode = null;
+  if (!room || !room.members.delete(socket)) return;
+  
+  const sessionIds = [...room.members.values()].map(member => member.sessionId);
+  if (sessionIds.length === 0) {
+    partyRooms.delete(room.code);
+    return;
+  }
+  
+  // The host left for good (not just one of their tabs): the longest
+  // connected listener takes over
+  if (!sessionIds.includes(room.hostSessionId)) {
+    room.hostSessionId = sessionIds[0];
+  }
+  room.requests = room.requests.filter(request => sessionIds.includes(request.sessionId));
+  broadcastPartyRoom(room);
+}
+
+function updatePartyState(socket, room, state) {
+  const error = validatePartyState(state);
+  if (error) {
+    return sendPartyMessage(socket, 'error', { error });
+  }
+  
+  room.state = {
+    currentTapeId: state.currentTapeId,
+    currentSide: state.currentSide,
+    currentTrackId: state.currentTrackId,
+    currentTime: state.currentTime,
+    isPlaying: state.isPlaying,
+    updatedAt: Date.now()
+  };
+  broadcastPartyState(room);
+}
+
+function requestPartyTrack(socket, room, trackId) {
+  const found = typeof trackId === 'string' ? findTrackFile(trackId) : null;
+  if (!found) {
+    return sendPartyMessage(socket, 'error', { error: 'Track not found' });
+  }
+  if (room.requests.length >= MAX_PARTY_REQUESTS) {
+    return sendPartyMessage(socket, 'error', { error: 'Too many requests waiting for the host' });
+  }
+  
+  const entry = libraryIndex.tracks[toLibraryKey(found.filePath)] || {};
+  room.requests.push({
+    id: crypto.randomUUID(),
+    sessionId: socket.sessionId,
+    memberId: socket.memberId,
+    name: room.members.get(socket).name,
+    trackId,
+    tapeId: found.tape.id,
+    side: found.side,
+    title: entry.title || titleFromFilename(path.basename(found.filePath)),
+    artist: entry.artist || 'Unknown Artist',
+    requestedAt: Date.now()
+  });
+  broadcastPartyRoom(room);
+}
+
+// The host approves (and plays) or declines a request
+function answerPartyRequest(socket, room, requestId, approve) {
+  const request = room.requests.find(candidate => candidate.id === requestId);
+  if (!request) {
+    return sendPartyMessage(socket, 'error', { error: 'Request not found' });
+  }
+  
+  room.requests = room.requests.filter(candidate => candidate !== request);
+  room.members.forEach((member, memberSocket) => {
+    if (member.sessionId === request.sessionId) {
+      sendPartyMessage(memberSocket, 'answered', { request: describePartyRequest(request), approved: Boolean(approve) });
+    }
+  });
+  broadcastPartyRoom(room);
+}
+
+function handlePartyMessage(socket, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    return sendPartyMessage(socket, 'error', { error: 'Messages must be JSON' });
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return sendPartyMessage(socket, 'error', { error: 'Messages must be JSON objects' });
+  }
+  
+  if (message.type === 'join') return joinParty(socket, message);
+  if (message.type === 'leave') return leaveParty(socket);
+  
+  const room = partyRooms.get(socket.partyCode);
+  if (!room) {
+    return sendPartyMessage(socket, 'error', { error: 'Join a party first' });
+  }
+  const isHost = socket.sessionId === room.hostSessionId;
+  
+  if (message.type === 'state' && isHost) {
+    updatePartyState(socket, room, message.state);
+  } else if (message.type === 'request' && !isHost) {
+    requestPartyTrack(socket, room, message.trackId);
+  } else if (message.type === 'answer' && isHost) {
+    answerPartyRequest(socket, room, message.requestId, message.approve);
+  } else if (['state', 'request', 'answer'].includes(message.type)) {
+    sendPartyMessage(socket, 'error', { error: isHost ? 'The host plays tracks directly' : 'Only the host can do that' });
+  } else {
+    sendPartyMessage(socket, 'error', { error: `Unknown message type: ${message.type}` });
+  }
+}
+
+// Browsers cannot set headers on a WebSocket, so the session ID also comes
+// as ?sessionId= (the cookie only reaches a same-origin page)
+partyServer.on('connection', (socket, req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const sessionId = url.searchParams.get('sessionId') || readCookie(req, SESSION_COOKIE);
+  
+  socket.sessionId = sessionId && SESSION_ID_PATTERN.test(sessionId) ? sessionId : crypto.randomUUID();
+  socket.memberId = crypto.randomBytes(8).toString('hex');
+  socket.partyCode = null;
+  socket.isAlive = true;
+  
+  socket.on('pong', () => { socket.isAlive = true; });
+  socket.on('message', data => {
+    // One bad frame must not take the whole server down
+    try {
+      handlePartyMessage(socket, data);
+    } catch (error) {
+      console.error('Error handling party message:', error);
+      sendPartyMessage(socket, 'error', { error: 'Could not handle that message' });
+    }
+  });
+  socket.on('close', () => leaveParty(socket));
+});
+
+// Drop listeners whose connection died without a close
+setInterval(() => {
+  partyServer.clients.forEach(socket => {
+    if (!socket.isAlive) return socket.terminate();
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, PARTY_PING_INTERVAL).unref();
+
+// === ROUTES ===
+
+// Health check
+app.get('/api/health', (req, res) => {
+  const tape = getCurrentTape(req.session);
+  const counts = countTapeTracks(tape);
+  res.json({ 
+    status: 'Server is running!', 
+    timestamp: new Date(),
+    tapes: getTapes().length,
+    currentTape: tape.id,
+    sideA: counts.sideA + ' tracks',
+    sideB: counts.sideB + ' tracks',
+    scan: scanStatus.state
+  });
+});
+
+// Client settings: where the player finds the API (empty means the server
+// that served the page) and which files it may upload
+app.get('/api/config', (req, res) => {
+  res.json({
+    apiBase: config.apiBase,
+    audioExtensions,
+    maxUploadSizeMB: MAX_UPLOAD_SIZE_MB
+  });
+});
+
+// Live library events (Server-Sent Events)
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(': connected\n\n');
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  eventClients.add(res);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
+  });
+});
+
+// Library scan progress
+app.get('/api/library/status', (req, res) => {
+  res.json({
+    ...scanStatus,
+    pending: pendingScans.size,
+    indexedTracks: Object.keys(libraryIndex.tracks).length
+  });
+});
+
+// Send one side of a tape as { side, tracks }
+async function sendSide(res, tape, sideParam) {
+  try {
+    const side = sideParam.toUpperCase();
+    const playlists = await loadMusicFiles(tape);
+    
+    if (side === 'A') {
+      res.json({ side: 'A', tapeId: tape.id, tracks: playlists.sideA, capacity: getSideCapacity(tape, playlists.sideA) });
+    } else if (side === 'B') {
+      res.json({ side: 'B', tapeId: tape.id, tracks: playlists.sideB, capacity: getSideCapacity(tape, playlists.sideB) });
+    } else {
+      sendError(res, 404, 'Side not found. Use A or B', { field: 'side' });
+    }
+  } catch (error) {
+    console.error('Error loading side:', error);
+    sendError(res, 500, 'Failed to load side');
+  }
+}
+
+// Get all playlists of the loaded tape (automatically scans folders)
+app.get('/api/playlists', async (req, res) => {
+  try {
+    const tape = getCurrentTape(req.session);
+    const playlists = await loadMusicFiles(tape);
+    res.json(withCapacity(tape, playlists));
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+    sendError(res, 500, 'Failed to load playlists');
+  }
+});
+
+// Get specific side of the loaded tape
+app.get('/api/playlists/:side', (req, res) => {
+  sendSide(res, getCurrentTape(req.session), req.params.side);
+});
+
+// Search both sides of a tape (the loaded one unless ?tapeId= is given)
+app.get('/api/search', async (req, res) => {
+  const query = normalizeSearchText(req.query.q);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_SEARCH_RESULTS);
+  
+  if (!query) {
+    return sendError(res, 400, 'Search query (q) is required', { field: 'q' });
+  }
+  
+  const tape = req.query.tapeId ? getTape(req.query.tapeId) : getCurrentTape(req.session);
+  if (!tape) {
+    return sendError(res, 404, 'Tape not found');
+  }
+  
+  try {
+    const playlists = await loadMusicFiles(tape);
+    const results = [];
+    
+    ['A', 'B'].forEach(side => {
+      playlists[`side${side}`].forEach((track, index) => {
+        const match = scoreTrack(track, query);
+        if (match) results.push({ side, index, ...match, track });
+      });
+    });
+    
+    results.sort((a, b) => b.score - a.score || a.side.localeCompare(b.side) || a.index - b.index);
+    
+    res.json({
+      query: req.query.q,
+      tapeId: tape.id,
+      total: results.length,
+      results: results.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error searching library:', error);
+    sendError(res, 500, 'Failed to search library');
+  }
+});
+
+// === TAPE ROUTES ===
+
+// Look up :tapeId or answer 404
+function findTapeOr404(req, res) {
+  const tape = getTape(req.params.tapeId);
+  if (!tape) {
+    sendError(res, 404, 'Tape not found');
+  }
+  return tape;
+}
+
+// List tapes on the shelf
+app.get('/api/tapes', (req, res) => {
+  try {
+    res.json({
+      currentTapeId: getCurrentTape(req.session).id,
+      tapes: getTapes().map(describeTape)
+    });
+  } catch (error) {
+    console.error('Error listing tapes:', error);
+    sendError(res, 500, 'Failed to list tapes');
+  }
+});
+
+// Create a new blank tape
+app.post('/api/tapes', requireAdmin, (req, res) => {
+  const label = typeof req.body.label === 'string' ? req.body.label.trim() : '';
+  const length = req.body.length || DEFAULT_TAPE_LENGTH;
+  
+  if (!label) {
+    return sendError(res, 400, 'Tape label is required', { field: 'label' });
+  }
+  if (!isTapeLength(length)) {
+    return sendError(res, 400, `Tape length must be one of ${Object.keys(TAPE_LENGTHS).join(', ')}`, { field: 'length' });
+  }
+  
+  try {
+    const tapeId = createTapeId(label);
+    const tapePath = path.join(musicFolder, tapeId);
+    
+    fs.mkdirSync(path.join(tapePath, 'side a'), { recursive: true });
+    fs.mkdirSync(path.join(tapePath, 'side b'), { recursive: true });
+    writeTapeInfo(tapePath, { label, length });
+    syncWatchers();
+    broadcastEvent('tapes-changed', { tapeId });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Tape created',
+      tape: describeTape(getTape(tapeId))
+    });
+  } catch (error) {
+    console.error('Error creating tape:', error);
+    sendError(res, 500, 'Failed to create tape');
+  }
+});
+
+// Get one tape with both sides
+app.get('/api/tapes/:tapeId', async (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
+  
+  try {
+    const playlists = await loadMusicFiles(tape);
+    res.json({ id: tape.id, label: tape.label, ...withCapacity(tape, playlists) });
+  } catch (error) {
+    console.error('Error loading tape:', error);
+    sendError(res, 500, 'Failed to load tape');
+  }
+});
+
+// Get both sides of a tape
+app.get('/api/tapes/:tapeId/playlists', async (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
+  
+  try {
+    const playlists = await loadMusicFiles(tape);
+    res.json(withCapacity(tape, playlists));
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+    sendError(res, 500, 'Failed to load playlists');
+  }
+});
+
+// Get specific side of a tape
+app.get('/api/tapes/:tapeId/playlists/:side', (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
+  
+  sendSide(res, tape, req.params.side);
+});
+
+// Rename a tape or change its length (the ID and folder stay the same)
+app.put('/api/tapes/:tapeId', requireAdmin, async (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
+  
+  const { label, length } = req.body;
+  const changes = {};
+  
+  if (label !== undefined) {
+    if (typeof label !== 'string' || !label.trim()) {
+      return sendError(res, 400, 'Tape label cannot be empty', { field: 'label' });
+    }
+    changes.label = label.trim();
+  }
+  if (length !== undefined) {
+    if (!isTapeLength(length)) {
+      return sendError(res, 400, `Tape length must be one of ${Object.keys(TAPE_LENGTHS).join(', ')}`, { field: 'length' });
+    }
+    changes.length = length;
+  }
+  if (Object.keys(changes).length === 0) {
+    return sendError(res, 400, 'Send a label or length to change');
+  }
+  
+  try {
+    writeTapeInfo(tape.path, changes);
+    broadcastEvent('tapes-changed', { tapeId: tape.id });
+    
+    const updated = getTape(tape.id);
+    const { capacity } = withCapacity(updated, await loadMusicFiles(updated));
+    const overflowing = ['A', 'B'].filter(side => capacity[side].overflow);
+    
+    res.json({
+      success: true,
+      message: 'Tape updated',
+      tape: describeTape(updated),
+      capacity,
+      warnings: overflowing.map(side => `Side ${side} runs over the end of a ${updated.length}`)
+    });
+  } catch (error) {
+    console.error('Error updating tape:', error);
+    sendError(res, 500, 'Failed to update tape');
+  }
+});
+
+// Delete a tape and its music (the default tape cannot be deleted)
+app.delete('/api/tapes/:tapeId', requireAdmin, (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
+  
+  if (tape.id === DEFAULT_TAPE_ID) {
+    return sendError(res, 400, 'The default tape cannot be deleted');
+  }
+  
+  try {
+    fs.rmSync(tape.path, { recursive: true, force: true });
+    
+    // Forget indexed metadata for the removed files
+    const keyPrefix = toLibraryKey(tape.path) + '/';
+    forgetIndexEntries(key => key.startsWith(keyPrefix));
+    
+    // Eject the tape from every session that had it loaded
+    Object.values(sessions)
+      .filter(session => session.currentTapeId === tape.id)
+      .forEach(session => {
+        session.currentTapeId = DEFAULT_TAPE_ID;
+        session.currentSide = 'A';
+        session.currentTrackId = null;
+        session.currentTime = 0;
+      });
+    saveSessions();
+    
+    syncWatchers();
+    broadcastEvent('tapes-changed', { tapeId: tape.id });
+    res.json({ success: true, message: 'Tape deleted' });
+  } catch (error) {
+    console.error('Error deleting tape:', error);
+    sendError(res, 500, 'Failed to delete tape');
+  }
+});
+
+// === TRACK ROUTES ===
+
+// Add uploaded files to one side of a tape
+async function addUploadedTracks(req, res, tape) {
+  const files = req.files || [];
+  const side = req.params.side.toUpperCase();
+  
+  if (side !== 'A' && side !== 'B') {
+    removeUploads(files);
+    return sendError(res, 404, 'Side not found. Use A or B', { field: 'side' });
+  }
+  if (files.length === 0) {
+    return sendError(res, 400, 'No files uploaded. Send audio files in the "tracks" field', { field: 'tracks' });
+  }
+  
+  const sideFolder = getSideFolder(tape, side);
+  fs.mkdirSync(sideFolder, { recursive: true });
+  
+  // Tracks that would run past the end of the tape are refused unless ?force=true
+  const allowOverflow = req.query.force === 'true';
+  const existing = await loadMusicFiles(tape);
+  let { remainingSeconds } = getSideCapacity(tape, side === 'A' ? existing.sideA : existing.sideB);
+  
+  const added = [];
+  const rejected = [];
+  
+  for (const file of files) {
+    let duration;
+    try {
+      // Refuse anything music-metadata cannot find playable audio in
+      const metadata = await mm.parseFile(file.path, { duration: true });
+      if (!metadata.format.codec || !(metadata.format.duration > 0)) {
+        throw new Error('no audio stream found');
+      }
+      duration = metadata.format.duration;
+    } catch (error) {
+      removeUploads([file]);
+      rejected.push({ filename: file.originalname, error: `Not a readable audio file: ${error.message}` });
+      continue;
+    }
+    
+    if (duration > remainingSeconds && !allowOverflow) {
+      removeUploads([file]);
+      rejected.push({
+        filename: file.originalname,
+        error: `Does not fit: Side ${side} of this ${tape.length} has ${formatDuration(Math.max(remainingSeconds, 0))} left`
+      });
+      continue;
+    }
+    remainingSeconds -= duration;
+    
+    const filePath = getAvailablePath(sideFolder, sanitizeFilename(file.originalname));
+    fs.renameSync(file.path, filePath);
+    
+    // Extract metadata and cover art right away instead of waiting for the scanner
+    await indexFile(filePath);
+    added.push(getTrackId(filePath));
+  }
+  
+  if (added.length === 0) {
+    return sendError(res, 400, 'No tracks were added', { field: 'tracks', rejected });
+  }
+  
+  const playlists = await loadMusicFiles(tape);
+  const sideTracks = side === 'A' ? playlists.sideA : playlists.sideB;
+  const tracks = sideTracks.filter(track => added.includes(track.id));
+  
+  res.status(201).json({
+    success: true,
+    message: `Added ${tracks.length} track${tracks.length === 1 ? '' : 's'} to Side ${side}`,
+    tapeId: tape.id,
+    side,
+    tracks,
+    capacity: getSideCapacity(tape, sideTracks),
+    rejected
+  });
+}
+
+// Upload tracks to a side of the loaded tape
+app.post('/api/playlists/:side/tracks', requireAdmin, receiveUploads, async (req, res) => {
+  try {
+    await addUploadedTracks(req, res, getCurrentTape(req.session));
+  } catch (error) {
+    console.error('Error uploading tracks:', error);
+    removeUploads(req.files);
+    sendError(res, 500, 'Failed to upload tracks');
+  }
+});
 
-// Create music folders if they don't exist
-const musicFolder = path.join(__dirname, 'musics');
-const sideAFolder = path.join(musicFolder, 'side a');
-const sideBFolder = path.join(musicFolder, 'side b');
-const coversFolder = path.join(__dirname, 'covers');
+// Upload tracks to a side of a tape
+app.post('/api/tapes/:tapeId/playlists/:side/tracks', requireAdmin, receiveUploads, async (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return removeUploads(req.files);
+  
+  try {
+    await addUploadedTracks(req, res, tape);
+  } catch (error) {
+    console.error('Error uploading tracks:', error);
+    removeUploads(req.files);
+    sendError(res, 500, 'Failed to upload tracks');
+  }
+});
 
-if (!fs.existsSync(musicFolder)) {
-  fs.mkdirSync(musicFolder);
-}
-if (!fs.existsSync(sideAFolder)) {
-  fs.mkdirSync(sideAFolder);
-}
-if (!fs.existsSync(sideBFolder)) {
-  fs.mkdirSync(sideBFolder);
-}
-if (!fs.existsSync(coversFolder)) {
-  fs.mkdirSync(coversFolder);
-}
+// Delete a track from the library (removes the file)
+app.delete('/api/tracks/:id', requireAdmin, (req, res) => {
+  const found = findTrackFile(req.params.id);
+  
+  if (!found) {
+    return sendError(res, 404, 'Track not found');
+  }
+  
+  try {
+    const key = toLibraryKey(found.filePath);
+    const entry = libraryIndex.tracks[key];
+    
+    fs.unlinkSync(found.filePath);
+    fs.rm(getLyricsPath(found.filePath), { force: true }, () => {});
+    if (found.tape.order[found.side]) {
+      saveSideOrder(found.tape, { [found.side]: listSideFiles(found.tape, found.side) });
+    }
+    
+    forgetIndexEntries(candidate => candidate === key);
+    if (entry) removeUnusedCover(entry.cover);
+    
+    rescanAndPublish();
+    res.json({
+      success: true,
+      message: 'Track deleted',
+      trackId: req.params.id,
+      tapeId: found.tape.id,
+      side: found.side
+    });
+  } catch (error) {
+    console.error('Error deleting track:', error);
+    sendError(res, 500, 'Failed to delete track');
+  }
+});
 
-// Serve music files and covers
-app.use('/musics', express.static(musicFolder));
-app.use('/covers', express.static(coversFolder));
+// Write title, artist, album, track number and cover art into a track's file
+// (JSON, or a multipart form when a "cover" image is sent)
+app.put('/api/tracks/:id/metadata', requireAdmin, receiveCover, async (req, res) => {
+  const found = findTrackFile(req.params.id);
+  
+  if (!found) {
+    return sendError(res, 404, 'Track not found');
+  }
+  
+  const ext = path.extname(found.filePath).toLowerCase();
+  if (!TAG_EDIT_EXTENSIONS.includes(ext)) {
+    return sendError(res, 415, `Tags can only be edited in ${TAG_EDIT_EXTENSIONS.join(', ')} files`);
+  }
+  
+  const { changes, error, field } = validateTagChanges(req.body || {}, req.file);
+  if (error) {
+    return sendError(res, 400, error, { field });
+  }
+  if (changes.cover) {
+    const mimeType = await detectCoverType(changes.cover.buffer);
+    if (!mimeType) {
+      return sendError(res, 400, 'Cover must be a JPEG, PNG, GIF or WebP image', { field: 'cover' });
+    }
+    changes.cover = { buffer: changes.cover.buffer, mimeType };
+  }
+  
+  try {
+    const before = libraryIndex.tracks[toLibraryKey(found.filePath)];
+    writeTags(found.filePath, changes);
+    
+    // Re-parse now so the index (and the response) has the new tags
+    await indexFile(found.filePath);
+    if (before) removeUnusedCover(before.cover); // Replaced or removed
+    
+    const playlists = await loadMusicFiles(found.tape);
+    const track = (found.side === 'A' ? playlists.sideA : playlists.sideB)
+      .find(candidate => candidate.id === req.params.id);
+    
+    rescanAndPublish();
+    res.json({
+      success: true,
+      message: 'Tags saved',
+      tapeId: found.tape.id,
+      side: found.side,
+      track
+    });
+  } catch (error) {
+    console.error('Error writing tags:', error);
+    sendError(res, 500, 'Failed to write tags');
+  }
+});
 
-// User session
-let userSession = {
-  currentSide: 'A',
-  currentTrackId: null,
-  currentTime: 0,
-  volume: 75,
-  tapeMode: true,
-  isPlaying: false
-};
+// Lyrics of a track, synced when the source has timestamps
+app.get('/api/tracks/:id/lyrics', (req, res) => {
+  const found = findTrackFile(req.params.id);
+  
+  if (!found) {
+    return sendError(res, 404, 'Track not found');
+  }
+  
+  try {
+    const lyricsPath = getLyricsPath(found.filePath);
+    const entry = libraryIndex.tracks[toLibraryKey(found.filePath)];
+    let source;
+    let text;
+    
+    if (fs.existsSync(lyricsPath)) {
+      source = 'sidecar';
+      text = fs.readFileSync(lyricsPath, 'utf8');
+    } else if (entry && entry.lyrics) {
+      source = 'embedded';
+      text = entry.lyrics;
+    } else {
+      return sendError(res, 404, 'No lyrics for this track');
+    }
+    
+    res.json({ trackId: req.params.id, source, ...parseLyrics(text) });
+  } catch (error) {
+    console.error('Error reading lyrics:', error);
+    sendError(res, 500, 'Failed to read lyrics');
+  }
+});
+
+// Reorder a side: trackIds lists every track of the side in the new order
+async function reorderSide(req, res, tape) {
+  const side = req.params.side.toUpperCase();
+  const { trackIds } = req.body;
+  
+  if (side !== 'A' && side !== 'B') {
+    return sendError(res, 404, 'Side not found. Use A or B', { field: 'side' });
+  }
+  
+  try {
+    const tracks = (await loadMusicFiles(tape))[`side${side}`];
+    const filePaths = new Map(listSideFiles(tape, side).map(filePath => [path.basename(filePath), filePath]));
+    const byId = new Map(tracks.map(track => [track.id, track]));
+    
+    if (!Array.isArray(trackIds) || trackIds.length !== tracks.length ||
+        new Set(trackIds).size !== tracks.length || !trackIds.every(id => byId.has(id))) {
+      return sendError(res, 400, `trackIds must list each of the ${tracks.length} tracks on Side ${side} once`, { field: 'trackIds' });
+    }
+    
+    saveSideOrder(tape, { [side]: trackIds.map(id => filePaths.get(byId.get(id).filename)) });
+    rescanAndPublish();
+    
+    const playlists = await loadMusicFiles(tape);
+    res.json({
+      success: true,
+      message: `Side ${side} reordered`,
+      tapeId: tape.id,
+      side,
+      tracks: playlists[`side${side}`]
+    });
+  } catch (error) {
+    console.error('Error reordering side:', error);
+    sendError(res, 500, 'Failed to reorder side');
+  }
+}
 
-// Cache for metadata to avoid re-reading files
-let metadataCache = {};
+// Reorder a side of the loaded tape
+app.put('/api/playlists/:side/order', requireAdmin, (req, res) => {
+  reorderSide(req, res, getCurrentTape(req.session));
+});
+
+// Reorder a side of a specific tape
+app.put('/api/tapes/:tapeId/playlists/:side/order', requireAdmin, (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
+  
+  reorderSide(req, res, tape);
+});
 
-// Function to extract and save album cover
-async function extractAlbumCover(filePath, trackId) {
+// Move a track to a position (trackNumber, default: the end) on either side
+// of its tape. Its library entry moves along, so the track keeps its ID.
+app.post('/api/tracks/:id/move', requireAdmin, async (req, res) => {
+  const found = findTrackFile(req.params.id);
+  const side = String(req.body.side || '').toUpperCase();
+  
+  if (!found) {
+    return sendError(res, 404, 'Track not found');
+  }
+  if (side !== 'A' && side !== 'B') {
+    return sendError(res, 400, 'Target side must be A or B', { field: 'side' });
+  }
+  
+  const { tape } = found;
+  
   try {
-    const metadata = await mm.parseFile(filePath);
+    const playlists = await loadMusicFiles(tape);
+    const track = playlists[`side${found.side}`].find(t => t.id === req.params.id);
+    
+    // Same rule as uploads: tracks that would run past the end of the tape need ?force=true
+    if (side !== found.side && req.query.force !== 'true') {
+      const { remainingSeconds } = getSideCapacity(tape, playlists[`side${side}`]);
+      if (track.duration > remainingSeconds) {
+        const message = `Does not fit: Side ${side} of this ${tape.length} has ${formatDuration(Math.max(remainingSeconds, 0))} left`;
+        return sendError(res, 400, message, { code: 'does_not_fit', field: 'side' });
+      }
+    }
     
-    if (metadata.common.picture && metadata.common.picture.length > 0) {
-      const picture = metadata.common.picture[0];
-      const coverPath = path.join(coversFolder, `${trackId}.jpg`);
+    let filePath = found.filePath;
+    if (side !== found.side) {
+      const sideFolder = getSideFolder(tape, side);
+      fs.mkdirSync(sideFolder, { recursive: true });
+      filePath = getAvailablePath(sideFolder, path.basename(found.filePath));
+      fs.renameSync(found.filePath, filePath);
       
-      fs.writeFileSync(coverPath, picture.data);
-      return `/covers/${trackId}.jpg`;
+      moveIndexEntry(found.filePath, filePath);
+      
+      if (fs.existsSync(getLyricsPath(found.filePath))) {
+        fs.renameSync(getLyricsPath(found.filePath), getLyricsPath(filePath));
+      }
     }
+    
+    const target = listSideFiles(tape, side).filter(other => other !== filePath);
+    const position = Number.isInteger(req.body.position)
+      ? Math.min(Math.max(req.body.position, 1), target.length + 1)
+      : target.length + 1;
+    target.splice(position - 1, 0, filePath);
+    
+    const orders = { [side]: target };
+    if (side !== found.side) orders[found.side] = listSideFiles(tape, found.side);
+    saveSideOrder(tape, orders);
+    rescanAndPublish();
+    
+    const updated = await loadMusicFiles(tape);
+    const sideTracks = updated[`side${side}`];
+    res.json({
+      success: true,
+      message: `Moved to Side ${side}`,
+      tapeId: tape.id,
+      fromSide: found.side,
+      side,
+      track: sideTracks.find(t => t.id === req.params.id) || sideTracks[position - 1],
+      capacity: getSideCapacity(tape, sideTracks)
+    });
   } catch (error) {
-    console.error(`Error extracting cover for ${filePath}:`, error.message);
+    console.error('Error moving track:', error);
+    sendError(res, 500, 'Failed to move track');
   }
+});
+
+// === PLAYLIST FILE ROUTES ===
+
+// Send a side as a playlist file (?format=m3u8|pls|xspf, default m3u8)
+async function exportSide(req, res, tape) {
+  const side = req.params.side.toUpperCase();
+  const format = String(req.query.format || 'm3u8').toLowerCase();
   
-  return null;
+  if (side !== 'A' && side !== 'B') {
+    return sendError(res, 404, 'Side not found. Use A or B', { field: 'side' });
+  }
+  if (!PLAYLIST_FORMATS[format]) {
+    return sendError(res, 400, `Format must be one of ${Object.keys(PLAYLIST_FORMATS).join(', ')}`, { field: 'format' });
+  }
+  
+  try {
+    const tracks = (await loadMusicFiles(tape))[`side${side}`];
+    const title = `${tape.label} - Side ${side}`;
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const fileName = `${title.replace(/[\\/:*?"<>|]/g, '_')}.${PLAYLIST_FORMATS[format].extension}`;
+    
+    res.attachment(fileName);
+    res.set('Content-Type', PLAYLIST_FORMATS[format].contentType);
+    res.send(formatPlaylist(format, title, tracks, baseUrl));
+  } catch (error) {
+    console.error('Error exporting playlist:', error);
+    sendError(res, 500, 'Failed to export playlist');
+  }
 }
 
-// Function to scan music folders and load tracks with metadata
-async function loadMusicFiles() {
-  const audioExtensions = ['.mp3', '.wav', '.ogg', '.m4a', '.flac'];
+// Build a side from a playlist file sent as the request body. Entries are
+// matched against the whole library; tracks found on another side or tape are
+// copied onto this side, as long as they fit on it (?force=true copies them
+// anyway, like uploads). The side then plays in the playlist's order, followed
+// by any tracks it already had that the playlist does not list.
+async function importSide(req, res, tape) {
+  const side = req.params.side.toUpperCase();
+  const format = req.query.format ? String(req.query.format).toLowerCase() : null;
   
-  const getSongsFromFolder = async (folderPath, side) => {
-    if (!fs.existsSync(folderPath)) return [];
-    
-    const files = fs.readdirSync(folderPath);
-    const tracks = [];
+  if (side !== 'A' && side !== 'B') {
+    return sendError(res, 404, 'Side not found. Use A or B', { field: 'side' });
+  }
+  if (format && !PLAYLIST_FORMATS[format]) {
+    return sendError(res, 400, `Format must be one of ${Object.keys(PLAYLIST_FORMATS).join(', ')}`, { field: 'format' });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return sendError(res, 400, 'Send the playlist file as the request body');
+  }
+  
+  try {
+    const entries = parsePlaylist(req.body, format);
+    const library = await listLibraryTracks();
+    const sideFolder = getSideFolder(tape, side);
+    const allowOverflow = req.query.force === 'true';
+    let { remainingSeconds } = getSideCapacity(tape, (await loadMusicFiles(tape))[`side${side}`]);
+    const ordered = [];
+    const unresolved = [];
+    const seen = new Set();
+    let copied = 0;
     
-    for (let index = 0; index < files.length; index++) {
-      const file = files[index];
+    for (const [index, entry] of entries.entries()) {
+      const found = resolvePlaylistEntry(entry, library);
+      const position = index + 1;
       
-      if (!audioExtensions.includes(path.extname(file).toLowerCase())) {
+      if (!found) {
+        unresolved.push({ position, ...entry, reason: 'Not in the library' });
         continue;
       }
+      if (seen.has(found.filePath)) {
+        unresolved.push({ position, ...entry, reason: 'Listed more than once' });
+        continue;
+      }
+      seen.add(found.filePath);
       
-      const filePath = path.join(folderPath, file);
-      const stats = fs.statSync(filePath);
-      const trackId = `${side}-${index}`;
-      
-      // Default values
-      let title = path.basename(file, path.extname(file))
-        .replace(/_/g, ' ')
-        .replace(/-/g, ' ')
-        .trim();
-      let artist = 'Unknown Artist';
-      let album = 'Unknown Album';
-      let albumCover = null;
-      
-      // Try to read metadata
-      try {
-        if (metadataCache[filePath]) {
-          // Use cached metadata
-          const cached = metadataCache[filePath];
-          title = cached.title || title;
-          artist = cached.artist || artist;
-          album = cached.album || album;
-          albumCover = cached.albumCover;
-        } else {
-          // Parse metadata
-          const metadata = await mm.parseFile(filePath);
-          
-          if (metadata.common.title) {
-            title = metadata.common.title;
-          }
-          if (metadata.common.artist) {
-            artist = metadata.common.artist;
-          }
-          if (metadata.common.album) {
-            album = metadata.common.album;
-          }
-          
-          // Extract album cover
-          albumCover = await extractAlbumCover(filePath, trackId);
-          
-          // Cache the metadata
-          metadataCache[filePath] = {
-            title,
-            artist,
-            album,
-            albumCover
-          };
+      let filePath = found.filePath;
+      if (found.tape.id !== tape.id || found.side !== side) {
+        const duration = found.track.duration || 0;
+        if (duration > remainingSeconds && !allowOverflow) {
+          unresolved.push({
+            position,
+            ...entry,
+            reason: `Does not fit: Side ${side} of this ${tape.length} has ${formatDuration(Math.max(remainingSeconds, 0))} left`
+          });
+          continue;
         }
-      } catch (error) {
-        console.error(`Error reading metadata for ${file}:`, error.message);
+        remainingSeconds -= duration;
+        
+        fs.mkdirSync(sideFolder, { recursive: true });
+        filePath = getAvailablePath(sideFolder, path.basename(found.filePath));
+        fs.copyFileSync(found.filePath, filePath);
+        if (fs.existsSync(getLyricsPath(found.filePath))) {
+          fs.copyFileSync(getLyricsPath(found.filePath), getLyricsPath(filePath));
+        }
+        await indexFile(filePath);
+        copied++;
       }
-      
-      tracks.push({
-        id: trackId,
-        title: title,
-        artist: artist,
-        album: album,
-        filename: file,
-        url: `/musics/side ${side.toLowerCase()}/${encodeURIComponent(file)}`,
-        albumCover: albumCover,
-        size: stats.size,
-        trackNumber: index + 1
-      });
+      ordered.push(filePath);
     }
     
-    return tracks;
-  };
+    const rest = listSideFiles(tape, side).filter(filePath => !ordered.includes(filePath));
+    saveSideOrder(tape, { [side]: [...ordered, ...rest] });
+    rescanAndPublish();
+    
+    const sideTracks = (await loadMusicFiles(tape))[`side${side}`];
+    res.json({
+      success: true,
+      message: `Imported ${ordered.length} of ${entries.length} entries to Side ${side}`,
+      tapeId: tape.id,
+      side,
+      imported: ordered.length,
+      copied,
+      unresolved,
+      tracks: sideTracks,
+      capacity: getSideCapacity(tape, sideTracks)
+    });
+  } catch (error) {
+    console.error('Error importing playlist:', error);
+    sendError(res, 500, 'Failed to import playlist');
+  }
+}
+
+// Playlist files arrive as plain text, whatever content type the client sends
+const readPlaylistBody = express.text({ type: () => true, limit: MAX_PLAYLIST_SIZE });
+
+// Export a side of the loaded tape
+app.get('/api/playlists/:side/export', (req, res) => {
+  exportSide(req, res, getCurrentTape(req.session));
+});
+
+// Export a side of a specific tape
+app.get('/api/tapes/:tapeId/playlists/:side/export', (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
   
-  const sideA = await getSongsFromFolder(sideAFolder, 'A');
-  const sideB = await getSongsFromFolder(sideBFolder, 'B');
+  exportSide(req, res, tape);
+});
+
+// Import a playlist file into a side of the loaded tape
+app.post('/api/playlists/:side/import', requireAdmin, readPlaylistBody, (req, res) => {
+  importSide(req, res, getCurrentTape(req.session));
+});
+
+// Import a playlist file into a side of a specific tape
+app.post('/api/tapes/:tapeId/playlists/:side/import', requireAdmin, readPlaylistBody, (req, res) => {
+  const tape = findTapeOr404(req, res);
+  if (!tape) return;
   
-  return { sideA, sideB };
-}
+  importSide(req, res, tape);
+});
 
-// === ROUTES ===
+// === HISTORY ROUTES ===
 
-// Health check
-app.get('/api/health', async (req, res) => {
-  const playlists = await loadMusicFiles();
-  res.json({ 
-    status: 'Server is running!', 
-    timestamp: new Date(),
-    sideA: playlists.sideA.length + ' tracks',
-    sideB: playlists.sideB.length + ' tracks'
+const TRACK_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// position and listened are in seconds
+const PLAY_EVENT_SCHEMA = {
+  type: { type: 'string', required: true, values: PLAY_EVENT_TYPES },
+  trackId: { type: 'string', required: true, pattern: TRACK_ID_PATTERN },
+  position: { type: 'number', min: 0 },
+  listened: { type: 'number', min: 0 }
+};
+
+// Log a play event: { type: start|complete|skip, trackId, position, listened }
+app.post('/api/history', validate({ body: PLAY_EVENT_SCHEMA }), (req, res) => {
+  const { type, trackId, position, listened } = req.body;
+  
+  const found = findTrackFile(trackId);
+  if (!found) {
+    return sendError(res, 404, 'Track not found');
+  }
+  
+  const entry = libraryIndex.tracks[toLibraryKey(found.filePath)] || {};
+  const event = {
+    type,
+    trackId,
+    tapeId: found.tape.id,
+    side: found.side,
+    title: entry.title || titleFromFilename(path.basename(found.filePath)),
+    artist: entry.artist || 'Unknown Artist',
+    album: entry.album || null,
+    duration: entry.duration || null,
+    position: position !== undefined ? Math.round(position * 10) / 10 : null,
+    listened: type === 'start' ? 0 : Math.round((listened || 0) * 10) / 10,
+    sessionId: req.sessionId,
+    at: Date.now()
+  };
+  
+  recordPlayEvent(event);
+  storeSession(req);
+  res.status(201).json({ success: true, event });
+});
+
+// Top tracks, top artists, listening time per day and skip rates
+// (?scope=me for the caller only, ?tapeId=, ?days=, ?limit=)
+app.get('/api/stats', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || STATS_LIMIT, 100);
+  
+  if (req.query.scope && !['me', 'all'].includes(req.query.scope)) {
+    return sendError(res, 400, 'scope must be me or all', { field: 'scope' });
+  }
+  
+  res.json({
+    scope: req.query.scope || 'all',
+    tapeId: req.query.tapeId || null,
+    days: parseInt(req.query.days, 10) || null,
+    ...buildStats(selectHistory(req, 'all'), limit)
   });
 });
 
-// Get all playlists (automatically scans folders)
-app.get('/api/playlists', async (req, res) => {
-  try {
-    const playlists = await loadMusicFiles();
-    res.json(playlists);
-  } catch (error) {
-    console.error('Error loading playlists:', error);
-    res.status(500).json({ error: 'Failed to load playlists' });
+// Download listens as a ListenBrainz import file (the caller's own by default)
+app.get('/api/history/export', (req, res) => {
+  if (req.query.format && req.query.format !== 'listenbrainz') {
+    return sendError(res, 400, 'Format must be listenbrainz', { field: 'format' });
   }
+  
+  res.attachment('listens.json');
+  res.send(JSON.stringify(toListenBrainz(selectHistory(req, 'me')), null, 2));
 });
 
-// Get specific side
-app.get('/api/playlists/:side', async (req, res) => {
-  try {
-    const side = req.params.side.toUpperCase();
-    const playlists = await loadMusicFiles();
-    
-    if (side === 'A') {
-      res.json({ side: 'A', tracks: playlists.sideA });
-    } else if (side === 'B') {
-      res.json({ side: 'B', tracks: playlists.sideB });
-    } else {
-      res.status(404).json({ error: 'Side not found. Use A or B' });
-    }
-  } catch (error) {
-    console.error('Error loading side:', error);
-    res.status(500).json({ error: 'Failed to load side' });
+// === PARTY ROUTES ===
+
+// Whether a listening party exists, how many are in it and where the host
+// is (who is listening is only told to members)
+app.get('/api/party/:code', (req, res) => {
+  const room = partyRooms.get(req.params.code.toUpperCase());
+  if (!room) {
+    return sendError(res, 404, 'Party not found');
+  }
+  
+  res.json({
+    code: room.code,
+    memberCount: room.members.size,
+    pendingRequests: room.requests.length,
+    state: describePartyState(room)
+  });
+});
+
+// === AUTH ROUTES ===
+
+// Whether the caller is logged in as admin
+app.get('/api/auth', (req, res) => {
+  res.json({ admin: req.isAdmin });
+});
+
+// Log in with the admin password (or token) and get a signed admin cookie
+app.post('/api/auth/login', loginLimit, validate({ body: { password: { type: 'string', required: true, maxLength: 200 } } }), (req, res) => {
+  if (!isAdminPassword(req.body.password)) {
+    return sendError(res, 401, 'Wrong password', { code: 'wrong_password', field: 'password' });
   }
+  
+  res.cookie(ADMIN_COOKIE, signAdminCookie(Date.now() + ADMIN_TTL), {
+    maxAge: ADMIN_TTL,
+    httpOnly: true,
+    sameSite: 'strict'
+  });
+  res.json({ success: true, admin: true });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  res.clearCookie(ADMIN_COOKIE, { httpOnly: true, sameSite: 'strict' });
+  res.json({ success: true, admin: false });
 });
 
-// Get current session
+// === SESSION ROUTES ===
+
+// Request schemas for the session routes
+const MAX_EQ_PRESET_NAME_LENGTH = 40;
+
+const EQ_GAINS_RULE = {
+  type: 'array',
+  required: true,
+  check: gains => (normalizeEqGains(gains) ? null : `needs ${EQ_BAND_COUNT} band gains in dB`)
+};
+
+const EQ_SCHEMA = {
+  preset: { type: 'string', maxLength: 60 },
+  gains: EQ_GAINS_RULE
+};
+
+const SESSION_SCHEMA = {
+  currentTapeId: { type: 'string', minLength: 1, maxLength: 100 },
+  currentSide: { type: 'string', values: ['A', 'B'] },
+  currentTrackId: { type: 'string', nullable: true, pattern: TRACK_ID_PATTERN },
+  currentTime: { type: 'number', min: 0 },
+  volume: { type: 'number', min: 0, max: 100 },
+  tapeMode: { type: 'boolean' },
+  cueReview: { type: 'boolean' },
+  tapeEffects: {
+    type: 'object',
+    fields: Object.fromEntries(Object.keys(DEFAULT_TAPE_EFFECTS).map(name => [name, { type: 'number', min: 0, max: 1 }]))
+  },
+  eq: { type: 'object', fields: EQ_SCHEMA },
+  crossfade: { type: 'number', min: 0, max: MAX_CROSSFADE },
+  repeat: { type: 'string', values: REPEAT_MODES },
+  shuffle: { type: 'boolean' },
+  keyBindings: {
+    type: 'object',
+    check: bindings => {
+      const entries = Object.entries(bindings);
+      const valid = entries.length <= MAX_KEY_BINDINGS && entries.every(([action, key]) =>
+        typeof key === 'string' && key.length <= MAX_KEY_NAME_LENGTH && action.length <= MAX_KEY_NAME_LENGTH
+      );
+      return valid ? null : `must map up to ${MAX_KEY_BINDINGS} actions to key names`;
+    }
+  },
+  sleepTimer: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      mode: { type: 'string', required: true, values: SLEEP_MODES },
+      minutes: { type: 'number', nullable: true, min: 0 },
+      endsAt: { type: 'number', nullable: true, min: 0 }
+    },
+    check: timer => (timer.mode === 'minutes' && !(timer.endsAt > 0 && timer.minutes > 0)
+      ? 'needs minutes and endsAt in minutes mode'
+      : null)
+  },
+  isPlaying: { type: 'boolean' }
+};
+
+const PRESET_NAME_RULE = {
+  type: 'string',
+  required: true,
+  maxLength: MAX_EQ_PRESET_NAME_LENGTH,
+  check: name => (name.trim() ? null : 'cannot be empty')
+};
+
+// Get the caller's session
 app.get('/api/session', (req, res) => {
-  res.json(userSession);
+  storeSession(req);
+  res.json(describeSession(req));
 });
 
 // Update session (save playback state)
-app.post('/api/session', (req, res) => {
-  const { currentSide, currentTrackId, currentTime, volume, tapeMode, isPlaying } = req.body;
+app.post('/api/session', validate({ body: SESSION_SCHEMA }), (req, res) => {
+  const { currentTapeId, currentSide, currentTrackId, currentTime, volume, tapeMode, cueReview, tapeEffects, eq, crossfade, repeat, shuffle, keyBindings, sleepTimer, isPlaying } = req.body;
   
-  if (currentSide) userSession.currentSide = currentSide;
-  if (currentTrackId !== undefined) userSession.currentTrackId = currentTrackId;
-  if (currentTime !== undefined) userSession.currentTime = currentTime;
-  if (volume !== undefined) userSession.volume = volume;
-  if (tapeMode !== undefined) userSession.tapeMode = tapeMode;
-  if (isPlaying !== undefined) userSession.isPlaying = isPlaying;
+  if (currentTapeId !== undefined) {
+    if (!getTape(currentTapeId)) {
+      return sendError(res, 404, 'Tape not found', { field: 'currentTapeId' });
+    }
+    req.session.currentTapeId = currentTapeId;
+  }
+  if (currentSide !== undefined) req.session.currentSide = currentSide;
+  if (currentTrackId !== undefined) req.session.currentTrackId = currentTrackId;
+  if (currentTime !== undefined) req.session.currentTime = currentTime;
+  if (volume !== undefined) req.session.volume = volume;
+  if (tapeMode !== undefined) req.session.tapeMode = tapeMode;
+  if (cueReview !== undefined) req.session.cueReview = cueReview;
+  if (tapeEffects !== undefined) {
+    req.session.tapeEffects = mergeTapeEffects(req.session.tapeEffects, tapeEffects);
+  }
+  if (eq !== undefined) {
+    req.session.eq = { preset: eq.preset || 'Custom', gains: normalizeEqGains(eq.gains) };
+  }
+  if (crossfade !== undefined) req.session.crossfade = crossfade;
+  if (repeat !== undefined) req.session.repeat = repeat;
+  if (shuffle !== undefined) req.session.shuffle = shuffle;
+  if (sleepTimer !== undefined) {
+    req.session.sleepTimer = sleepTimer && {
+      mode: sleepTimer.mode,
+      minutes: sleepTimer.mode === 'minutes' ? sleepTimer.minutes : null,
+      endsAt: sleepTimer.mode === 'minutes' ? sleepTimer.endsAt : null
+    };
+  }
+  if (keyBindings !== undefined) req.session.keyBindings = { ...keyBindings };
+  if (isPlaying !== undefined) req.session.isPlaying = isPlaying;
+  storeSession(req);
   
   res.json({ 
     success: true, 
     message: 'Session saved',
-    session: userSession 
+    session: describeSession(req)
   });
 });
 
 // Update tape mode
-app.put('/api/session/tape-mode', (req, res) => {
-  const { enabled } = req.body;
-  userSession.tapeMode = enabled;
+app.put('/api/session/tape-mode', validate({ body: { enabled: { type: 'boolean', required: true } } }), (req, res) => {
+  req.session.tapeMode = req.body.enabled;
+  storeSession(req);
   
   res.json({ 
     success: true, 
-    tapeMode: userSession.tapeMode
+    tapeMode: req.session.tapeMode
   });
 });
 
 // Update volume
-app.put('/api/session/volume', (req, res) => {
-  const { volume } = req.body;
+app.put('/api/session/volume', validate({ body: { volume: { ...SESSION_SCHEMA.volume, required: true } } }), (req, res) => {
+  req.session.volume = req.body.volume;
+  storeSession(req);
+  res.json({ success: true, volume: req.session.volume });
+});
+
+// Set the active EQ curve
+app.put('/api/session/eq', validate({ body: EQ_SCHEMA }), (req, res) => {
+  req.session.eq = { preset: req.body.preset || 'Custom', gains: normalizeEqGains(req.body.gains) };
+  storeSession(req);
+  res.json({ success: true, eq: req.session.eq });
+});
+
+// Save a custom EQ preset (same name overwrites)
+app.post('/api/session/eq/presets', validate({ body: { name: PRESET_NAME_RULE, gains: EQ_GAINS_RULE } }), (req, res) => {
+  const name = req.body.name.trim();
+  const presets = { ...req.session.eqPresets };
   
-  if (volume < 0 || volume > 100) {
-    return res.status(400).json({ error: 'Volume must be between 0 and 100' });
+  if (!presets[name] && Object.keys(presets).length >= MAX_EQ_PRESETS) {
+    return sendError(res, 400, `You can save up to ${MAX_EQ_PRESETS} presets`, { code: 'limit_reached', field: 'name' });
   }
   
-  userSession.volume = volume;
-  res.json({ success: true, volume: userSession.volume });
+  presets[name] = normalizeEqGains(req.body.gains);
+  req.session.eqPresets = presets;
+  storeSession(req);
+  res.status(201).json({ success: true, eqPresets: presets });
 });
 
-// Refresh playlists (rescan folders and clear cache)
-app.post('/api/refresh', async (req, res) => {
+// Delete a custom EQ preset
+app.delete('/api/session/eq/presets/:name', validate({ params: { name: PRESET_NAME_RULE } }), (req, res) => {
+  const presets = { ...req.session.eqPresets };
+  
+  if (!presets[req.params.name]) {
+    return sendError(res, 404, 'Preset not found', { field: 'name' });
+  }
+  
+  delete presets[req.params.name];
+  req.session.eqPresets = presets;
+  storeSession(req);
+  res.json({ success: true, eqPresets: presets });
+});
+
+// Refresh playlists (clear the index and queue a rescan of every tape)
+app.post('/api/refresh', requireAdmin, rescanLimit, (req, res) => {
   try {
-    metadataCache = {}; // Clear cache
-    const playlists = await loadMusicFiles();
-    res.json({
+    libraryIndex.tracks = {}; // Clear index
+    rescanAndPublish();
+    
+    const tape = getCurrentTape(req.session);
+    const counts = countTapeTracks(tape);
+    // The rescan waits behind any running one, so scanStatus still describes
+    // the previous scan here: report the new one as queued and let callers
+    // follow it at GET /api/library/status
+    res.status(202).json({
       success: true,
-      message: 'Playlists refreshed',
-      sideA: playlists.sideA.length,
-      sideB: playlists.sideB.length
+      message: 'Library rescan queued',
+      state: 'queued',
+      tapeId: tape.id,
+      sideA: counts.sideA,
+      sideB: counts.sideB
     });
   } catch (error) {
     console.error('Error refreshing playlists:', error);
-    res.status(500).json({ error: 'Failed to refresh playlists' });
+    sendError(res, 500, 'Failed to refresh playlists');
   }
 });
 
-// Reset session
-app.post('/api/session/reset', (req, res) => {
-  userSession = {
-    currentSide: 'A',
-    currentTrackId: null,
-    currentTime: 0,
-    volume: 75,
-    tapeMode: true,
-    isPlaying: false
-  };
+// Reset the caller's session
+app.post('/api/session/reset', validate({ body: {} }), (req, res) => {
+  req.session = { ...createDefaultSession(), lastSeen: Date.now() };
+  storeSession(req);
   
   res.json({ 
     success: true, 
@@ -279,23 +3393,58 @@ app.post('/api/session/reset', (req, res) => {
   });
 });
 
+// === API FALLBACKS ===
+
+// Unknown API routes answer in JSON like the rest of the API
+app.use('/api', (req, res) => {
+  sendError(res, 404, `No API route for ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+// Errors thrown before or inside a route: broken JSON bodies, oversized
+// bodies, and anything a route did not handle itself
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, `Request body is not valid JSON: ${error.message}`, { code: 'invalid_json' });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+  const status = error.status || 500;
+  if (status >= 500) console.error('Unhandled error:', error);
+  sendError(res, status, status < 500 && error.expose ? error.message : 'Something went wrong');
+});
+
 // Start server
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 
 async function startServer() {
-  app.listen(PORT, async () => {
+  server.listen(PORT, async () => {
     console.log(`\n🎵 TAPE PLAYER BACKEND - AUTO-LOAD MODE WITH METADATA\n`);
     console.log(`Server: http://localhost:${PORT}`);
-    console.log(`Health: http://localhost:${PORT}/api/health\n`);
+    console.log(`Health: http://localhost:${PORT}/api/health`);
+    console.log(`Party:  ws://localhost:${PORT}${PARTY_PATH}\n`);
+    
+    if (!config.adminToken && !config.adminPassword) {
+      console.log(`🔑 No admin token or password configured. Admin token for this run:`);
+      console.log(`   ${adminToken}\n`);
+    }
     
     console.log(`📁 MUSIC FOLDERS:`);
+    console.log(`   Tapes:  ${getTapes().map(tape => tape.label).join(', ')}`);
     console.log(`   Side A: ${sideAFolder}`);
     console.log(`   Side B: ${sideBFolder}`);
-    console.log(`   Covers: ${coversFolder}\n`);
+    libraryRoots.slice(1).forEach(root => console.log(`   Extra:  ${root}`));
+    console.log(`   Covers: ${coversFolder}`);
+    console.log(`   Sessions: ${Object.keys(sessions).length} saved listeners\n`);
     
     console.log(`🔄 Loading tracks and extracting metadata...\n`);
     
     try {
+      await scanLibrary();
+      await publishLibraryChanges({ silent: true });
+      syncWatchers();
+      
       const playlists = await loadMusicFiles();
       console.log(`🎶 LOADED TRACKS:`);
       console.log(`   Side A: ${playlists.sideA.length} tracks`);
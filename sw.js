@@ -0,0 +1,118 @@
+// Service worker - keeps the player working without the server
+//
+// The app shell is cached on install and refreshed whenever the network
+// answers. Tapes saved for offline live in their own "tape-offline-<id>"
+// caches, filled by the page: audio and covers are served from there first,
+// API reads fall back to them when the server cannot be reached.
+
+const SHELL_CACHE = 'tape-shell-v1';
+const OFFLINE_CACHE_PREFIX = 'tape-offline-';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shell caches from older versions (saved tapes stay)
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && !name.startsWith(OFFLINE_CACHE_PREFIX))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    // Matched anywhere in the path, so a player mounted under a sub-path works too
+    const url = new URL(request.url);
+    
+    if (url.pathname.includes('/musics/') || url.pathname.includes('/covers/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.pathname.includes('/api/')) {
+        // Live events and the session have no offline copy
+        if (url.pathname.endsWith('/api/events') || url.pathname.endsWith('/api/session')) return;
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+function findCached(request) {
+    return caches.match(request.url, { ignoreVary: true });
+}
+
+// Audio and covers: saved copy first. The audio element asks for byte
+// ranges, which the cache cannot answer by itself.
+async function cacheFirst(request) {
+    const cached = await findCached(request);
+    if (!cached) return fetch(request);
+    
+    const range = request.headers.get('range');
+    return range ? sliceResponse(cached, range) : cached;
+}
+
+// API reads and the app shell: the network, or the last saved copy. The
+// shell is re-cached on the way through so it stays current.
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (cacheName && response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await findCached(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Answer "Range: bytes=start-end" from a complete cached response
+async function sliceResponse(response, range) {
+    const blob = await response.blob();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+    
+    let start = 0;
+    let end = blob.size - 1;
+    if (match && match[1]) {
+        start = parseInt(match[1], 10);
+        if (match[2]) end = Math.min(parseInt(match[2], 10), end);
+    } else if (match && match[2]) {
+        start = Math.max(blob.size - parseInt(match[2], 10), 0); // Last n bytes
+    }
+    
+    if (start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}` }
+        });
+    }
+    
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}